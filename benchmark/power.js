@@ -0,0 +1,56 @@
+/*
+ * Benchmark for power() with integer exponents, from 10 to 10 million.
+ *
+ * Run: `npm run benchmark`
+ *
+ * Exponentiation by squaring needs about log2(exponent) steps, so the time per
+ * call should grow with the number of digits in the exponent, not with the
+ * exponent itself.
+ */
+
+import { performance } from "perf_hooks";
+import { power } from "../safe-math.js";
+
+var cases = [
+  { value: 1.000001, label: "decimal base" },
+  { value: 3, label: "integer base" },
+  { value: 3n, label: "BigInt base", limit: 1e5 }
+];
+
+// Runs fn repeatedly for about 200ms, and returns the mean milliseconds per call.
+function measure(fn) {
+  var calls = 0;
+  var start = performance.now();
+  var elapsed = 0;
+
+  while (elapsed < 200) {
+    fn();
+    calls += 1;
+    elapsed = performance.now() - start;
+  }
+
+  return elapsed / calls;
+}
+
+cases.forEach(({ value, label, limit = 1e7 }) => {
+  console.log(label + ": " + value);
+
+  for (var exponent = 10; exponent <= limit; exponent *= 10) {
+    var param = typeof value == "bigint"
+      ? { value, exponent: BigInt(exponent) }
+      : { value, exponent };
+
+    var ms = measure(() => power(param));
+    var result = power(param);
+
+    if (typeof result == "bigint") {
+      result = result.toString().length + " digits";
+    }
+
+    console.log(
+      "  exponent " + String(exponent).padEnd(9) +
+      ms.toFixed(4).padStart(10) + " ms per call, " +
+      result
+    );
+  }
+});
@@ -0,0 +1,223 @@
+/**
+ * Money functions built on the safe-math operators, for amounts in a currency
+ * with ISO 4217 minor units, e.g., JPY has 0 decimal places, USD has 2, and
+ * BHD has 3.
+ * 
+ * Examples:
+ * 1. Rounding 1.005 USD returns 1.01, and 1234.5 JPY returns 1235.
+ * 2. Splitting 100 USD three ways returns [33.34, 33.33, 33.33], so that the
+ *    parts always add up to the original amount.
+ * 
+ * Import the module as a namespace to distinguish its round() from the
+ * library's:
+ * 
+ *    import * as money from "@dfkaye/safe-math/money.js";
+ * 
+ * Library contains 1 internal helper function, for converting an amount to an
+ * integer number of minor units.
+ */
+
+import { add, minus, multiply, divide, parse, round as roundTo } from "./safe-math.js";
+
+export {
+  minorUnits, round, allocate, split, exchange
+}
+
+/*
+ * ISO 4217 currencies whose minor unit is not 2 decimal places.
+ */
+var exponents = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  CLF: 4, UYW: 4
+};
+
+/**
+ * @function minorUnits returns the number of decimal places in a currency's
+ * minor unit, e.g., 0 for "JPY", 2 for "USD", and 3 for "BHD". Codes are not
+ * case-sensitive. Currencies not listed with another exponent use 2.
+ * 
+ * Throws a RangeError if the currency is not a 3-letter code.
+ * 
+ * @param {string} currency
+ * @returns {number}
+ */
+function minorUnits(currency) {
+  if (!/^[A-Z]{3}$/i.test(currency)) {
+    throw new RangeError("Invalid currency code \"" + currency + "\"");
+  }
+
+  var code = currency.toUpperCase();
+
+  return code in exponents
+    ? exponents[code]
+    : 2;
+}
+
+/**
+ * @function round returns an amount rounded to a currency's minor units, using
+ * a rounding mode supported by the library's round() function (default
+ * "half-up").
+ * 
+ * If the amount is not functionally numeric, the amount is returned.
+ * 
+ * @param {*} amount
+ * @param {string} currency
+ * @param {string} mode
+ * @returns {number}
+ */
+function round(amount, currency, mode = "half-up") {
+  return roundTo(amount, minorUnits(currency), mode);
+}
+
+/**
+ * @function allocate distributes an amount among parts in proportion to a
+ * list of ratios, so that the parts always add up to the amount rounded to the
+ * currency's minor units.
+ * 
+ * Each part receives its share rounded toward zero, then the leftover minor
+ * units are given out one at a time, in order, from the first part.
+ * 
+ * Example: `allocate(100, [1, 1, 1], "USD")` returns [33.34, 33.33, 33.33],
+ * and `allocate(5, [3, 7], "USD")` returns [1.5, 3.5].
+ * 
+ * If the amount is not functionally numeric, each part is NaN.
+ * 
+ * Throws a RangeError if any ratio is negative or not numeric, or if the
+ * ratios add up to 0.
+ * 
+ * @param {*} amount
+ * @param {Array} ratios
+ * @param {string} currency
+ * @returns {Array<number>} parts
+ */
+function allocate(amount, ratios, currency) {
+  var places = minorUnits(currency);
+  var numbers = Array.from(ratios, ratio => parse(ratio));
+  var total = add(numbers);
+
+  numbers.forEach(ratio => {
+    if (!(ratio >= 0)) {
+      throw new RangeError("Invalid ratio " + ratio);
+    }
+  });
+
+  if (!(total > 0)) {
+    throw new RangeError("Ratios must add up to more than 0");
+  }
+
+  var units = toMinorUnits(amount, places);
+
+  if (units !== units) {
+    return numbers.map(() => NaN);
+  }
+
+  // Allocate the magnitude, so that shares of negative amounts round toward 0.
+  var magnitude = Math.abs(units);
+  var sign = units < 0 ? -1 : 1;
+
+  var shares = numbers.map(ratio => {
+    return divide({ scale: 0, rounding: "floor" }, multiply(magnitude, ratio), total);
+  });
+
+  var leftover = minus(magnitude, add(shares));
+
+  return shares.map((share, index) => {
+    var part = index < leftover
+      ? share + 1
+      : share;
+
+    // Avoid returning -0 for empty parts of negative amounts.
+    return divide(sign * part || 0, Math.pow(10, places));
+  });
+}
+
+/**
+ * @function split divides an amount into a number of equal parts that add up
+ * to the amount, as allocate() does.
+ * 
+ * Example: `split(100, 3, "USD")` returns [33.34, 33.33, 33.33].
+ * 
+ * Throws a RangeError if the count is not a positive integer.
+ * 
+ * @param {*} amount
+ * @param {number} count
+ * @param {string} currency
+ * @returns {Array<number>} parts
+ */
+function split(amount, count, currency) {
+  if (!(Number.isInteger(count) && count > 0)) {
+    throw new RangeError("Invalid count " + count);
+  }
+
+  return allocate(amount, Array(count).fill(1), currency);
+}
+
+/**
+ * @function exchange converts an amount from one currency to another, using a
+ * table of exchange rates relative to a common base currency, and returns the
+ * result rounded to the target currency's minor units, using a rounding mode
+ * supported by the library's round() function (default "half-up").
+ * 
+ * Example: given rates `{ USD: 1, EUR: 0.92, JPY: 151.37 }`, exchanging 10
+ * EUR to JPY returns 1645 (10 / 0.92 * 151.37, rounded to 0 places).
+ * 
+ * The amount is divided by the source rate and multiplied by the target rate
+ * in one operation, so the result is rounded only once.
+ * 
+ * If the amount is not functionally numeric, the amount is returned.
+ * 
+ * Throws a RangeError if the table has no rate for either currency.
+ * 
+ * @param {*} amount
+ * @param {string} from
+ * @param {string} to
+ * @param {object} rates
+ * @param {string} mode
+ * @returns {number}
+ */
+function exchange(amount, from, to, rates, mode = "half-up") {
+  var table = Object(rates);
+
+  [from, to].forEach(currency => {
+    if (!(parse(table[currency]) > 0)) {
+      throw new RangeError("Missing exchange rate for \"" + currency + "\"");
+    }
+  });
+
+  var number = parse(amount);
+
+  if (number !== number) {
+    return amount
+  }
+
+  return divide(
+    { scale: minorUnits(to), rounding: mode },
+    multiply(number, table[to]),
+    table[from]
+  );
+}
+
+
+/* Helper functions */
+
+
+/**
+ * @function toMinorUnits, converts an amount to an integer number of minor
+ * units, rounding half-up to the number of places, e.g., given 1.005 and 2,
+ * function returns 101. Returns NaN if the amount is not functionally numeric.
+ * 
+ * @param {*} amount
+ * @param {number} places
+ * @returns {number}
+ */
+function toMinorUnits(amount, places) {
+  var number = parse(amount);
+
+  if (number !== number) {
+    return number
+  }
+
+  return multiply(roundTo(number, places), Math.pow(10, places));
+}
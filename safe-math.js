@@ -8,20 +8,91 @@
  * 3. Any value can be an object whose valueOf() method returns a numeric value,
  *    i.e., a functionally numeric value.
  * 
- * Library contains 4 internal helper functions:
+ * Library contains 48 internal helper functions:
  * 1. for extracting values from a series and ignoring non-numeric values,
- * 2. checking that a value is at least functionally numeric,
- * 3. expanding values to the largest integer string,
- * 4. ascending sort function, used by median.
+ * 2. extracting numeric values in a series as numbers,
+ * 3. extracting numeric pairs from two series,
+ * 4. summing squared deviations from the mean, used by the variance functions,
+ * 5. sorting and counting values to trim, used by the trimmed means,
+ * 6. summing deviations of paired series from their means, used by the paired
+ *    series functions,
+ * 7. ranking numbers with a tie strategy, used by rank and correlation,
+ * 8. counting occurrences of numbers, used by mode, frequency, and describe,
+ * 9. finding the most frequent numbers in counts, used by mode and describe,
+ * 10. counting numbers in bins between edges,
+ * 11. in a number of equal-width bins, and
+ * 12. in bins of a width, all used by frequency,
+ * 13. finding extremes in sliding windows, used by rolling,
+ * 14. finding where to insert a number in sorted numbers, used by rolling,
+ *    rank, and percentileRank,
+ * 15. checking that a value is at least functionally numeric,
+ * 16. checking for NaN values, which the operators ignore,
+ * 17. dividing with NaN carried through, used by mean, the variance
+ *    functions, rolling, and createAccumulator,
+ * 18. converting a functionally numeric value to a number,
+ * 19. converting a percentage to a number, used by the percentage functions,
+ * 20. converting and operating on a value and a percentage, used by the
+ *    percentage functions,
+ * 21. removing locale formatting from numeric strings,
+ * 22. deriving the separators for a locale,
+ * 23. expanding values to the largest integer string,
+ * 24. decomposing a number into its digits and decimal places, used by
+ *    expand and multiply,
+ * 25. contracting an integer result to its decimal precision,
+ * 26. ascending sort function, used by median, quantile, and rank,
+ * 27. calculating the median of sorted numbers, used by median and describe,
+ * 28. calculating a quantile of sorted numbers, used by quantile and describe,
+ * 29. tokenizing expressions, used by evaluate,
+ * 30. naming tokens, and
+ * 31. throwing errors with column positions, both used by evaluate,
+ * 32. writing numbers as plain decimal strings without exponents, and
+ * 33. rounding decimal strings, both used by round and divide,
+ * 34. raising a number to an integer power by squaring,
+ * 35. finding the ratio of small integers nearest a number, and
+ * 36. raising a number to a ratio with scaled integers, all used by power,
+ * 37. calculating roots of scaled integers, and
+ * 38. integer roots of BigInt integers, both used by root and power,
+ * 39. detecting an options object, and
+ * 40. dividing by long division, both used by divide,
+ * 41. converting values to BigInt scaled integers,
+ * 42. converting scaled integers to decimal strings,
+ * 43. aligning scaled integers to the same scale,
+ * 44. adding scaled integers,
+ * 45. multiplying scaled integers,
+ * 46. dividing scaled integers, all used by the decimal functions and
+ *    harmonicMean,
+ * 47. testing whether a value is invalid, and
+ * 48. describing an invalid value, both used by createSafeMath.
  */
 
 export {
   // operations
   add, minus, multiply, divide,
   // series
-  mean, median, mode, range,
+  mean, weightedMean, geometricMean, harmonicMean, trimmedMean, winsorizedMean,
+  median, medianLow, medianHigh, mode, frequency, range,
+  variance, stdev, pvariance, pstdev, quantile, quartiles, iqr,
+  rank, percentileRank, describe,
+  covariance, correlation, linearRegression,
+  // windows
+  rolling, ema, cumsum, cumprod, diff, percentChange,
   // conversions
-  percent, power, reciprocal, square, sqrt
+  percent, percentOf, addPercent, subtractPercent, reversePercent,
+  percentagePoints, basisPoints, perMille,
+  power, reciprocal, square, sqrt, root, log, log10, log2, ln, exp,
+  round,
+  // parsing and formatting
+  parse, setLocale, format,
+  // wrapper
+  safe,
+  // accumulator
+  createAccumulator,
+  // expressions
+  evaluate,
+  // decimal strings
+  decimal,
+  // factory
+  createSafeMath, SafeMathError
 }
 
 /**
@@ -32,9 +103,9 @@ export {
  */
 function add(...values) {
   return getValues(...values).reduce(function (augend, addend) {
-    var { left, right, exponent } = expand(augend, addend);
+    var { left, right, places } = expand(augend, addend);
 
-    return (left + right) / exponent;
+    return contract(left + right, places);
   }, 0);
 }
 
@@ -49,9 +120,9 @@ function minus(...values) {
   var first = numbers.shift()
 
   return numbers.reduce(function (minuend, subtrahend) {
-    var { left, right, exponent } = expand(minuend, subtrahend);
+    var { left, right, places } = expand(minuend, subtrahend);
 
-    return (left - right) / exponent;
+    return contract(left - right, places);
   }, first);
 }
 
@@ -63,22 +134,63 @@ function minus(...values) {
  */
 function multiply(...values) {
   return getValues(...values).reduce(function (multiplicand, multiplier) {
-    var { left, right, exponent } = expand(multiplicand, multiplier);
+    var x = toNumber(multiplicand);
+    var y = toNumber(multiplier);
 
-    return (left * right) / (exponent * exponent);
+    /*
+     * Multiply the significant digits and add their decimal places, rather
+     * than expanding both values to the same exponent, so that very large and
+     * very small values can be multiplied exactly, e.g., 1.1e21 * 3.
+     */
+
+    var dX = decompose(x);
+    var dY = decompose(y);
+    var product = dX.integer * dY.integer;
+
+    if (!Number.isSafeInteger(product)) {
+      // Non-finite, or too many digits to multiply exactly.
+      return x * y;
+    }
+
+    return contract(product, dX.places + dY.places);
   }, 1);
 }
 
 /**
  * @function divide, for safely dividing numbers.
  * 
+ * If the first value is an options object, the quotient is computed by long
+ * division rather than by binary floating-point division:
+ * 
+ *  `{ scale, rounding }` returns the quotient correctly rounded to `scale`
+ *  decimal places (default 0), using a rounding mode supported by round()
+ *  (default "half-up"), so that `divide({ scale: 4 }, 2, 3)` returns 0.6667.
+ *  A negative scale rounds to a power of 10, as round() does, so that
+ *  `divide({ scale: -2 }, 123456, 1)` returns 123500.
+ * 
+ *  `{ repeating: true }` returns the quotient as a string with any repeating
+ *  period enclosed in parentheses, so that `divide({ repeating: true }, 2, 3)`
+ *  returns "0.(6)", and `divide({ repeating: true }, 1, 4)` returns "0.25".
+ *  Periods longer than 1000 digits are truncated and marked with "...".
+ * 
+ * With options, the first value is divided by the product of the remaining
+ * values, so the quotient is rounded only once.
+ * 
  * @param  {...any} values
- * @returns {number} quotient
+ * @returns {number|string} quotient
  */
 function divide(...values) {
+  var options = isOptions(values[0])
+    ? values.shift()
+    : undefined;
+
   var numbers = getValues(...values);
   var first = numbers.shift()
 
+  if (options) {
+    return divideExactly(first, numbers, options);
+  }
+
   return numbers.reduce(function (dividend, divisor) {
     var { left, right } = expand(dividend, divisor);
 
@@ -116,34 +228,251 @@ function mean(...values) {
     );
   }, size);
 
-  return (
-    size > 0
-      ? sum / size
-      : size
+  /*
+   * Use divide so that, e.g., 0.6 / 3 returns 0.2 rather than
+   * 0.19999999999999998.
+   */
+
+  return size > 0
+    ? divideNaN(sum, size)
+    : 0;
+}
+
+/**
+ * @function weightedMean, for safely calculating the mean of an Array of
+ * values, each multiplied by the weight at the same index in an Array of
+ * weights, e.g., the average price of items sold in different quantities.
+ * 
+ * Pairs where either the value or the weight is not functionally numeric are
+ * ignored. If there are no pairs, 0 is returned. If the weights sum to 0, NaN
+ * is returned.
+ * 
+ * @param {Array} values
+ * @param {Array} weights
+ * @returns {number}
+ */
+function weightedMean(values, weights) {
+  var pairs = getPairs(values, weights);
+
+  if (!pairs.length) {
+    return 0;
+  }
+
+  var total = add(pairs.map(({ 1: weight }) => weight));
+  var sum = add(pairs.map(({ 0: value, 1: weight }) => multiply(value, weight)));
+
+  return total === 0 || total !== total || sum !== sum
+    ? NaN
+    : divide(sum, total);
+}
+
+/**
+ * @function geometricMean, for safely calculating the nth root of the product
+ * of n values, e.g., the average rate of growth over several periods.
+ * 
+ * If any value is negative, NaN is returned. If any value is 0, 0 is returned.
+ * If there are no values, 0 is returned.
+ * 
+ * @param  {...any} values 
+ * @returns {number}
+ */
+function geometricMean(...values) {
+  var numbers = getNumbers(...values);
+
+  if (!numbers.length) {
+    return 0;
+  }
+
+  if (numbers.some(number => number < 0)) {
+    return NaN;
+  }
+
+  var product = multiply(numbers);
+
+  var exponent = divide(1, numbers.length);
+
+  /*
+   * If the product overflows (or underflows to 0 without a 0 value), multiply
+   * the roots of each value instead.
+   */
+
+  if (isFinite(product) && (product > 0 || numbers.includes(0))) {
+    return power({ value: product, exponent });
+  }
+
+  return multiply(numbers.map(value => power({ value, exponent })));
+}
+
+/**
+ * @function harmonicMean, for safely calculating the reciprocal of the mean
+ * of the reciprocals of a series of values, e.g., the average speed over
+ * several trips of equal distance.
+ * 
+ * If any value is negative, NaN is returned. If any value is 0, 0 is returned.
+ * If there are no values, 0 is returned.
+ * 
+ * @param  {...any} values 
+ * @returns {number}
+ */
+function harmonicMean(...values) {
+  var numbers = getNumbers(...values);
+
+  if (!numbers.length) {
+    return 0;
+  }
+
+  if (numbers.some(number => number < 0)) {
+    return NaN;
+  }
+
+  if (numbers.includes(0)) {
+    return 0;
+  }
+
+  if (!numbers.every(isFinite)) {
+    return divide(numbers.length, add(numbers.map(number => 1 / number)));
+  }
+
+  /*
+   * Sum the reciprocals as BigInt integers at a fixed number of places, so
+   * that, e.g., 1/40 + 1/60 is 0.041666…67, and harmonicMean(40, 60) returns
+   * 48 rather than 47.99999999999999. Each value is integer / 10^scale, so its
+   * reciprocal is 10^scale / integer, rounded half up.
+   * 
+   * 19 October 2026: The places are fixed, rather than summing one exact
+   * fraction, whose denominator grows with every value. The sum is at least
+   * the reciprocal of the lowest value, so keep 20 digits past that, plus one
+   * for each digit in the count of values, which each add a rounding error.
+   */
+
+  var scaled = numbers.map(toScaled);
+  var lowest = Math.min(...numbers);
+  var precision = 20
+    + String(numbers.length).length
+    + Math.max(Math.ceil(Math.log10(lowest)), 0);
+
+  var sum = scaled.reduce((sum, { integer, scale }) => {
+    var unit = 10n ** BigInt(scale + precision);
+
+    return sum + (unit * 2n + integer) / (integer * 2n);
+  }, 0n);
+
+  // The mean is at least the lowest value, so allow 17 digits past its scale.
+  var places = 17 + Math.max(...scaled.map(({ scale }) => scale));
+
+  return +divideScaled(
+    { integer: BigInt(numbers.length), scale: 0 },
+    { integer: sum, scale: precision },
+    places,
+    "half-up"
   );
 }
 
+/**
+ * @function trimmedMean, for safely calculating the mean of an Array of
+ * values after removing a proportion (default 0.1) of the lowest and highest
+ * values, so that outliers do not skew the result.
+ * 
+ * With 10 values and a proportion of 0.1, the lowest and highest values are
+ * removed, and the mean of the remaining 8 values is returned.
+ * 
+ * Throws a RangeError if the proportion is not at least 0 and less than 0.5.
+ * 
+ * @param {Array} values
+ * @param {number} proportion
+ * @returns {number}
+ */
+function trimmedMean(values, proportion = 0.1) {
+  var { sorted, count } = trim(values, proportion);
+
+  return mean(sorted.slice(count, sorted.length - count));
+}
+
+/**
+ * @function winsorizedMean, for safely calculating the mean of an Array of
+ * values after replacing a proportion (default 0.1) of the lowest and highest
+ * values with the nearest remaining values, so that outliers do not skew the
+ * result.
+ * 
+ * With 10 values and a proportion of 0.1, the lowest value is replaced with
+ * the second lowest, the highest with the second highest, and the mean of the
+ * 10 values is returned.
+ * 
+ * Throws a RangeError if the proportion is not at least 0 and less than 0.5.
+ * 
+ * @param {Array} values
+ * @param {number} proportion
+ * @returns {number}
+ */
+function winsorizedMean(values, proportion = 0.1) {
+  var { sorted, count } = trim(values, proportion);
+  var last = sorted.length - count - 1;
+
+  return mean(sorted.map((number, index) => {
+    return sorted[Math.min(Math.max(index, count), last)];
+  }));
+}
+
 /**
  * @function median, for safely calculating the middle value of a series of
- * numbers.
+ * numbers. If the series has an even number of values, the mean of the two
+ * middle values is returned.
+ * 
+ * For the lower or higher of the two middle values, use medianLow() or
+ * medianHigh().
  * 
  * @param  {...any} values 
  * @returns {number}
  */
 function median(...values) {
-  var numbers = getValues(...values);
+  var numbers = getNumbers(...values);
 
   if (!numbers.length) {
     return 0;
   }
 
   // Need to sort our numbers first, then find the middle index.
+  return medianSorted(ascending(numbers));
+}
+
+/**
+ * @function medianLow, for safely calculating the middle value of a series of
+ * numbers. If the series has an even number of values, the lower of the two
+ * middle values is returned.
+ * 
+ * @param  {...any} values 
+ * @returns {number}
+ */
+function medianLow(...values) {
+  var numbers = getNumbers(...values);
+
+  if (!numbers.length) {
+    return 0;
+  }
+
   var sorted = ascending(numbers);
 
-  var floor = Math.floor(sorted.length / 2);
+  return sorted[Math.ceil(sorted.length / 2) - 1];
+}
+
+/**
+ * @function medianHigh, for safely calculating the middle value of a series of
+ * numbers. If the series has an even number of values, the higher of the two
+ * middle values is returned.
+ * 
+ * @param  {...any} values 
+ * @returns {number}
+ */
+function medianHigh(...values) {
+  var numbers = getNumbers(...values);
+
+  if (!numbers.length) {
+    return 0;
+  }
+
+  var sorted = ascending(numbers);
 
-  // Coerce Strings, Booleans, and functionally numeric values.
-  return +(sorted[floor])
+  return sorted[Math.floor(sorted.length / 2)];
 }
 
 /**
@@ -157,39 +486,74 @@ function median(...values) {
  * @returns {Array} 
  */
 function mode(...values) {
-  var map = {};
-  var most = 0;
-  var modes = [];
+  return ascending(mostFrequent(tally(getNumbers(...values))));
+}
 
-  getValues(...values).forEach(value => {
-    if (!isNumeric(value)) {
-      return
-    }
+/**
+ * @function frequency, for safely counting the occurrences of values in an
+ * Array, returned as a table of rows sorted by value.
+ * 
+ * With no options, each distinct value gets a row, { value, count }.
+ * 
+ * Otherwise, values are counted in bins, each a row, { from, to, count },
+ * including values from `from` up to but not including `to`, set by one of
+ * the following options, in order of precedence:
+ * 
+ *  `edges`, an ascending Array of bin edges, e.g., [0, 10, 20], where the
+ *  last bin includes its `to` edge, and values outside the edges are ignored,
+ *  `bins`, a number of equal-width bins between the lowest and highest
+ *  values, where the last bin includes the highest value,
+ *  `binWidth`, the width of bins aligned to multiples of the width, e.g., a
+ *  width of 0.1 gives bins [0.2, 0.3), [0.3, 0.4), and so on.
+ * 
+ * Bin edges and positions use the safe operators, so 0.3 lands in [0.3, 0.4),
+ * even though 0.3 / 0.1 in JavaScript is 2.9999999999999996.
+ * 
+ * If the `relative` option is true, each row also contains its `relative`
+ * frequency, the count divided by the number of values counted. The last row
+ * with a count absorbs any rounding difference, so that the relative
+ * frequencies add up to exactly 1.
+ * 
+ * Throws a RangeError if `binWidth` is not a positive number, `bins` is not a
+ * positive integer, or `edges` are not at least two ascending numbers.
+ * 
+ * @param {Array} values
+ * @param {{ binWidth: number, bins: number, edges: Array<number>, relative: boolean }} options
+ * @returns {Array<object>} rows
+ */
+function frequency(values, { binWidth, bins, edges, relative = false } = {}) {
+  var numbers = getNumbers(values);
+  var rows;
 
-    value = +(value);
+  if (edges !== undefined) {
+    rows = binByEdges(numbers, edges);
+  } else if (bins !== undefined) {
+    rows = binByCount(numbers, bins);
+  } else if (binWidth !== undefined) {
+    rows = binByWidth(numbers, binWidth);
+  } else {
+    rows = [];
 
-    // Increment value's count if value is mapped, or initialize it to 1.
-    (value in map)
-      && (map[value]++)
-      || (map[value] = 1);
+    tally(numbers).forEach((count, value) => rows.push({ value, count }));
+    rows.sort((a, b) => a.value - b.value);
+  }
 
-    // Reset most to new higher count
-    (map[value] > most)
-      && (most = map[value]);
-  })
+  if (relative) {
+    var total = add(rows.map(({ count }) => count));
+    var last = rows.map(({ count }) => count > 0).lastIndexOf(true);
 
-  Object.keys(map).forEach(value => {
+    rows.forEach(row => {
+      row.relative = total > 0 ? divide(row.count, total) : 0;
+    });
 
-    /*
-     * Push values whose count matches `most` to the modes array. The strict
-     * equality test means never matching NaN.
-     */
+    if (last > -1) {
+      var others = rows.filter((row, index) => index !== last);
 
-    (map[value] === most)
-      && (modes.push(+(value)));
-  })
+      rows[last].relative = minus(1, add(others.map(({ relative }) => relative)));
+    }
+  }
 
-  return modes;
+  return rows;
 }
 
 /**
@@ -215,7 +579,7 @@ function range(...values) {
       return
     }
 
-    value = +(value);
+    value = toNumber(value);
 
     value > high
       && (high = value);
@@ -232,292 +596,3724 @@ function range(...values) {
   return add(high, -low);
 }
 
+/**
+ * @function variance, for safely calculating the sample variance of a series
+ * of numbers, i.e., the sum of squared deviations from the mean, divided by
+ * one less than the number of values. If there are less than two values in the
+ * series, then 0 is returned.
+ * 
+ * For the population variance, use pvariance().
+ * 
+ * @param  {...any} values 
+ * @returns {number}
+ */
+function variance(...values) {
+  var { size, sum } = squaredDeviations(...values);
 
-/* Conversion functions */
+  if (size < 2) {
+    return 0;
+  }
 
+  return divideNaN(sum, size - 1);
+}
 
 /**
- * @function percent returns 1/100th of a value.
+ * @function stdev, for safely calculating the sample standard deviation of a
+ * series of numbers, i.e., the square root of the sample variance. If there
+ * are less than two values in the series, then 0 is returned.
  * 
- * If the value is not functionally numeric or falsy (0), the value is
- * returned.
- *
- * @param {*}
+ * For the population standard deviation, use pstdev().
+ * 
+ * @param  {...any} values 
  * @returns {number}
  */
-function percent(value) {
-  var number = Object(value).valueOf();
+function stdev(...values) {
+  return sqrt(variance(...values));
+}
 
-  if (!isNumeric(value) || !number) {
-    return value
+/**
+ * @function pvariance, for safely calculating the population variance of a
+ * series of numbers, i.e., the sum of squared deviations from the mean,
+ * divided by the number of values. If there are no values in the series, then
+ * 0 is returned.
+ * 
+ * @param  {...any} values 
+ * @returns {number}
+ */
+function pvariance(...values) {
+  var { size, sum } = squaredDeviations(...values);
+
+  if (size < 1) {
+    return 0;
   }
 
-  return divide(number, 100);
+  return divideNaN(sum, size);
 }
 
 /**
- * @function power returns a value raised to the exponent, e.g., 2 to the power
- * of 3 returns 8.
+ * @function pstdev, for safely calculating the population standard deviation
+ * of a series of numbers, i.e., the square root of the population variance.
+ * If there are no values in the series, then 0 is returned.
  * 
- * If either the value or the exponent is not functionally numeric, the value
- * is returned.
+ * @param  {...any} values 
+ * @returns {number}
+ */
+function pstdev(...values) {
+  return sqrt(pvariance(...values));
+}
+
+/**
+ * @function quantile, for safely calculating the value below which a given
+ * proportion, p, of an Array of values falls, e.g., p = 0.5 for the median, or
+ * p = 0.9 for the 90th percentile.
  * 
- * If the exponent is not provided, it is assigned 1 by default, to mitigate
- * these cases with Math.pow():
+ * The `method` option selects one of the nine definitions in Hyndman and Fan,
+ * "Sample Quantiles in Statistical Packages" (1996), numbered 1 to 9:
  * 
- *  Math.pow(9, undefined) => NaN
- *  Math.pow(9, null) => 1
- *  Math.pow(9, "") => 1
- *  Math.pow(9, "  ") => 1
+ *  1, the inverse of the empirical distribution function,
+ *  2, as 1, averaging at discontinuities,
+ *  3, the observation closest to n * p,
+ *  4 to 9, interpolating between adjacent values, with 7 (default) used by
+ *  R, NumPy, and spreadsheet PERCENTILE functions, and 6 used by Minitab and
+ *  SPSS.
  * 
- * Function ultimately relies on multiply() to guard against impedance cases,
- * such as `Math.pow(1.1, 2) => 1.2100000000000002`.
+ * Non-numeric values are ignored. If there are no values, 0 is returned.
  * 
- * @param {{value: *, exponent: *}} param0
- * @returns {number} 
+ * Throws a RangeError if p is not between 0 and 1, or the method is not an
+ * integer from 1 to 9.
+ * 
+ * @param {Array} values
+ * @param {number} p
+ * @param {{ method: number }} options
+ * @returns {number}
  */
-function power({ value = undefined, exponent = 1 }) {
-  if (!isNumeric(value) || !isNumeric(exponent)) {
-    return value
-  }
-
-  var number = Object(value).valueOf();
-  var power = Object(exponent).valueOf();
-  var { "0": length, "1": fraction } = power.toString().split('.');
-
-  if (fraction) {
-
-    /*
-     * 26 November 2020: Solving for fractional exponents.
-     * If power contains a fraction, sign it the same as the integer length,
-     * then use Math.pow on number to the fraction, and multiply that by number
-     * to the integer length.
-     */
-
-    fraction = +("." + fraction);
-
-    if (power < 0) {
-      fraction = fraction * -1
-    }
+function quantile(values, p, { method = 7 } = {}) {
+  p = toNumber(p);
 
-    var left = Math.pow(number, fraction)
-    var right = Math.pow(number, length)
-
-    return multiply(left, right)
-  } else {
+  if (!(p >= 0 && p <= 1)) {
+    throw new RangeError("Invalid probability " + p);
+  }
 
-    /*
-     * 26 November 2020 continued: Otherwise, if the power is positive, fill a
-     * series array of length equal to exponent power with the number and pass
-     * that to multiply to proces the series. If power is negative, fill the
-     * series with the reciprocal of the number, which is ironic as reciprocal
-     * function delegates to the power function.
-     */
+  if (!Object.prototype.hasOwnProperty.call(quantileMethods, method)) {
+    throw new RangeError("Invalid quantile method " + method);
+  }
 
-    var abs = Math.abs(power);
-    var field = power > 0
-      ? number
-      : 1 / number;
-    var series = Array(abs).fill(field);
+  var numbers = getNumbers(values);
 
-    return multiply(series)
+  if (!numbers.length) {
+    return 0;
   }
+
+  return quantileSorted(ascending(numbers), p, method);
 }
 
 /**
- * @function reciprocal returns the reciprocal of a value.
+ * @function quartiles, for safely calculating the first, second (median), and
+ * third quartiles of an Array of values, using a quantile() method (default
+ * 7).
  * 
- * If the value is not functionally numeric, the value is returned.
- *
- * @param {*}
- * @returns {number} 
+ * @param {Array} values
+ * @param {{ method: number }} options
+ * @returns {Array<number>} [q1, q2, q3]
  */
-function reciprocal(value) {
-  return power({ value, exponent: -1 });
+function quartiles(values, options) {
+  return [0.25, 0.5, 0.75].map(p => quantile(values, p, options));
 }
 
 /**
- * @function square returns the square of a value.
+ * @function iqr, for safely calculating the interquartile range of an Array
+ * of values, i.e., the difference between the third and first quartiles.
  * 
- * If the value is not functionally numeric, the value is returned.
- *
- * @param {*}
- * @returns {number} 
+ * @param {Array} values
+ * @param {{ method: number }} options
+ * @returns {number}
  */
-function square(value) {
-  return power({ value, exponent: 2 })
+function iqr(values, options) {
+  var { 0: q1, 2: q3 } = quartiles(values, options);
+
+  return minus(q3, q1);
 }
 
+/*
+ * Hyndman and Fan quantile methods, keyed by number. Each returns m, the
+ * offset added to n * p to find the position of the quantile, and gamma, the
+ * weight given to the value above that position, given the fractional part,
+ * g, and the integer part, j, of the position.
+ */
+var quantileMethods = {
+  1: (p) => ({ m: 0, gamma: (g) => g > 0 ? 1 : 0 }),
+  2: (p) => ({ m: 0, gamma: (g) => g > 0 ? 1 : 0.5 }),
+  3: (p) => ({ m: -0.5, gamma: (g, j) => g > 0 || j % 2 ? 1 : 0 }),
+  4: (p) => ({ m: 0 }),
+  5: (p) => ({ m: 0.5 }),
+  6: (p) => ({ m: p }),
+  7: (p) => ({ m: minus(1, p) }),
+  8: (p) => ({ m: divide(add(p, 1), 3) }),
+  9: (p) => ({ m: add(divide(p, 4), 0.375) })
+};
+
 /**
- * @function sqrt returns the square root of a value.
+ * @function rank, for safely ranking the values in an Array, from 1 for the
+ * lowest, returned in the original order of the values.
  * 
- * If the value is numerically negative, an Error object is returned.
+ * The `ties` option sets how equal values are ranked, one of:
  * 
- * If the value is not functionally numeric the value is returned.
- *
- * @param {*}
- * @returns {number} 
+ *  "average" (default), the average of the ranks they cover, e.g., 2.5,
+ *  "min", the lowest of the ranks they cover, e.g., 2, as in sports,
+ *  "max", the highest of the ranks they cover, e.g., 3,
+ *  "dense", as "min", but the next value ranks 1 higher, with no gaps,
+ *  "ordinal", a distinct rank for each, in order of appearance.
+ * 
+ * Values that are not functionally numeric are not ranked, and have a rank
+ * of NaN.
+ * 
+ * Example: `rank([10, 30, 20, 20])` returns [1, 4, 2.5, 2.5].
+ * 
+ * Throws a RangeError for an unknown tie strategy.
+ * 
+ * @param {Array} values
+ * @param {{ ties: string }} options
+ * @returns {Array<number>} ranks
  */
-function sqrt(value) {
-  if (value < 0) {
+function rank(values, { ties = "average" } = {}) {
+  if (!["average", "min", "max", "dense", "ordinal"].includes(ties)) {
+    throw new RangeError("Invalid ties \"" + ties + "\"");
+  }
+
+  var numbers = Array.from(Object(values), value => {
+    return isNumeric(value)
+      ? toNumber(value)
+      : NaN;
+  });
+
+  var ranks = rankNumbers(numbers.filter(number => number === number), ties);
+
+  return numbers.map(number => number === number ? ranks.shift() : NaN);
+}
+
+/**
+ * @function percentileRank, for safely calculating the percentage of values
+ * in an Array that are lower than a value, x, counting values equal to x as
+ * half lower.
+ * 
+ * Example: in [50, 60, 70, 80, 90], 2 values are lower than 70 and 1 is equal,
+ * so 70 is at the 50th percentile, or (2 + 0.5) / 5 * 100.
+ * 
+ * Values that are not functionally numeric are ignored. If there are no
+ * values, 0 is returned. If x is not functionally numeric, NaN is returned.
+ * 
+ * @param {Array} values
+ * @param {*} x
+ * @returns {number}
+ */
+function percentileRank(values, x) {
+  var number = isNumeric(x)
+    ? toNumber(x)
+    : NaN;
+
+  var sorted = ascending(getNumbers(values));
+
+  if (number !== number) {
+    return NaN;
+  }
+
+  if (!sorted.length) {
+    return 0;
+  }
+
+  var below = sortedIndex(sorted, number);
+  var equal = 0;
+
+  while (sorted[below + equal] === number) {
+    equal += 1;
+  }
+
+  return divide(multiply(add(below, divide(equal, 2)), 100), sorted.length);
+}
+
+/**
+ * @function describe, for safely calculating summary statistics of an Array
+ * of values at once, filtering the values in one pass and sorting them once,
+ * rather than calling mean, median, mode, and so on, separately.
+ * 
+ * Returns an object with the following statistics:
+ * 
+ *  count, the number of numeric values,
+ *  ignored, the number of values that are not functionally numeric,
+ *  sum, min, max, range, mean, median, and mode,
+ *  variance and stdev, the sample variance and standard deviation,
+ *  quartiles, the first, second, and third quartiles, using a quantile()
+ *  method (default 7),
+ *  skewness, the adjusted Fisher-Pearson sample skewness, and
+ *  kurtosis, the sample excess kurtosis, as calculated by the SKEW and KURT
+ *  functions in spreadsheets.
+ * 
+ * If there are too few values, or no variation, for a statistic, it is 0.
+ * 
+ * @param {Array} values
+ * @param {{ method: number }} options
+ * @returns {object} statistics
+ */
+function describe(values, { method = 7 } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(quantileMethods, method)) {
+    throw new RangeError("Invalid quantile method " + method);
+  }
+
+  var numbers = [];
+  var ignored = 0;
+  var sum = 0;
+
+  Array.from(Object(values)).forEach(value => {
+    var number = isNumeric(value)
+      ? toNumber(value)
+      : NaN;
+
+    if (number !== number) {
+      ignored += 1;
+
+      return;
+    }
+
+    numbers.push(number);
+    sum = add(sum, number);
+  });
+
+  var count = numbers.length;
+  var sorted = ascending(numbers);
+
+  var statistics = {
+    count,
+    ignored,
+    sum,
+    min: count ? sorted[0] : 0,
+    max: count ? sorted[count - 1] : 0,
+    range: count ? minus(sorted[count - 1], sorted[0]) : 0,
+    mean: count && sum === sum ? divide(sum, count) : sum,
+    median: medianSorted(sorted),
+    // Tally the sorted numbers, so that the modes are in ascending order.
+    mode: mostFrequent(tally(sorted)),
+    variance: 0,
+    stdev: 0,
+    quartiles: [0.25, 0.5, 0.75].map(p => {
+      return count ? quantileSorted(sorted, p, method) : 0;
+    }),
+    skewness: 0,
+    kurtosis: 0
+  };
+
+  if (count < 2) {
+    return statistics;
+  }
+
+  // An infinite mean leaves every deviation NaN, and so every moment.
+  if (!isFinite(statistics.mean)) {
+    return Object.assign(statistics, {
+      variance: NaN, stdev: NaN, skewness: NaN, kurtosis: NaN
+    });
+  }
+
+  // Sums of the deviations from the mean, squared, cubed, and to the fourth.
+  var deviations = numbers.map(number => minus(number, statistics.mean));
+  var m2 = add(deviations.map(d => multiply(d, d)));
+  var m3 = add(deviations.map(d => multiply(d, d, d)));
+  var m4 = add(deviations.map(d => multiply(d, d, d, d)));
+
+  var variance = divide(m2, count - 1);
+  var stdev = sqrt(variance);
+
+  statistics.variance = variance;
+  statistics.stdev = stdev;
+
+  if (variance === 0) {
+    return statistics;
+  }
+
+  if (count > 2) {
+    // n * m3 / ((n - 1) * (n - 2) * s^3)
+    statistics.skewness = divide(
+      multiply(count, m3),
+      multiply(count - 1, count - 2, variance, stdev)
+    );
+  }
+
+  if (count > 3) {
+    // n * (n + 1) * m4 / ((n - 1) * (n - 2) * (n - 3) * s^4)
+    var kurtosis = divide(
+      multiply(count, count + 1, m4),
+      multiply(count - 1, count - 2, count - 3, variance, variance)
+    );
+
+    // 3 * (n - 1)^2 / ((n - 2) * (n - 3))
+    var correction = divide(
+      multiply(3, count - 1, count - 1),
+      multiply(count - 2, count - 3)
+    );
+
+    statistics.kurtosis = minus(kurtosis, correction);
+  }
+
+  return statistics;
+}
+
+/**
+ * @function covariance, for safely calculating the sample covariance of two
+ * series of paired values, i.e., how far they vary together from their means.
+ * 
+ * Pairs where either value is not functionally numeric are ignored. If there
+ * are less than two pairs, 0 is returned.
+ * 
+ * @param {Array} xs
+ * @param {Array} ys
+ * @returns {number}
+ */
+function covariance(xs, ys) {
+  var { size, sxy } = comoments(getPairs(xs, ys));
+
+  return size > 1
+    ? divide(sxy, size - 1)
+    : 0;
+}
+
+/**
+ * @function correlation, for safely calculating the correlation coefficient of
+ * two series of paired values, from -1 to 1, using one of the following
+ * methods:
+ * 
+ *  "pearson" (default), the linear correlation of the values,
+ *  "spearman", the Pearson correlation of the ranks of the values, where tied
+ *  values share the average of their ranks.
+ * 
+ * Pairs where either value is not functionally numeric are ignored. If there
+ * are less than two pairs, or either series has no variation, NaN is
+ * returned.
+ * 
+ * Throws a RangeError for an unknown method.
+ * 
+ * @param {Array} xs
+ * @param {Array} ys
+ * @param {{ method: string }} options
+ * @returns {number}
+ */
+function correlation(xs, ys, { method = "pearson" } = {}) {
+  if (method !== "pearson" && method !== "spearman") {
+    throw new RangeError("Invalid correlation method \"" + method + "\"");
+  }
+
+  var pairs = getPairs(xs, ys);
+
+  if (method === "spearman") {
+    var rx = rankNumbers(pairs.map(({ 0: x }) => x), "average");
+    var ry = rankNumbers(pairs.map(({ 1: y }) => y), "average");
+
+    pairs = rx.map((x, index) => [x, ry[index]]);
+  }
+
+  var { size, sxx, syy, sxy } = comoments(pairs);
+
+  if (size < 2 || sxx === 0 || syy === 0) {
+    return NaN;
+  }
+
+  var r = divide(sxy, sqrt(multiply(sxx, syy)));
+
+  // Keep r within -1 and 1 in case the root is inexact.
+  return Math.max(-1, Math.min(1, r));
+}
+
+/**
+ * @function linearRegression, for safely fitting a straight line, y = slope *
+ * x + intercept, to two series of paired values by least squares.
+ * 
+ * Returns the slope and intercept of the line, and r2, the coefficient of
+ * determination, from 0 to 1, the proportion of the variation in ys that the
+ * line explains.
+ * 
+ * Pairs where either value is not functionally numeric are ignored. If there
+ * are less than two pairs, or xs has no variation, every statistic is NaN.
+ * 
+ * @param {Array} xs
+ * @param {Array} ys
+ * @returns {{ slope: number, intercept: number, r2: number }}
+ */
+function linearRegression(xs, ys) {
+  var { size, mx, my, sxx, syy, sxy } = comoments(getPairs(xs, ys));
+
+  if (size < 2 || sxx === 0 || sxx !== sxx) {
+    return { slope: NaN, intercept: NaN, r2: NaN };
+  }
+
+  var slope = divide(sxy, sxx);
+  var intercept = minus(my, multiply(slope, mx));
+
+  // If ys has no variation, the horizontal line fits exactly.
+  var r2 = syy === 0
+    ? 1
+    : divide(multiply(sxy, sxy), multiply(sxx, syy));
+
+  return { slope, intercept, r2 };
+}
+
+
+/* Window functions */
+
+
+/**
+ * @function rolling, for safely calculating a statistic over each window of a
+ * number of consecutive values in an Array, e.g., a 7-day moving average.
+ * 
+ * The statistic, fn, is one of "sum", "mean" (default), "min", "max", or
+ * "median", or a function that receives each window as an Array of numbers.
+ * 
+ * The named statistics update each window from the previous one, rather than
+ * recalculating it from scratch. The moving sum and mean keep a running total
+ * of BigInt scaled integers, so that subtracting the value leaving a window
+ * does not cause drift, e.g., 0.1 + 0.2 - 0.1 returns 0.20000000000000004.
+ * 
+ * Values that are not functionally numeric are ignored. Returns an Array with
+ * one result per full window, which is empty if there are fewer values than
+ * the window size.
+ * 
+ * Throws a RangeError if the window is not a positive integer, or fn is not a
+ * named statistic or a function.
+ * 
+ * @param {Array} values
+ * @param {number} window
+ * @param {string|function} fn
+ * @returns {Array<number>}
+ */
+function rolling(values, window, fn = "mean") {
+  var size = toNumber(window);
+
+  if (!(size > 0 && Number.isInteger(size))) {
+    throw new RangeError("Invalid window " + window);
+  }
+
+  if (typeof fn != "function" && !rollingFunctions.hasOwnProperty(fn)) {
+    throw new RangeError("Invalid rolling function \"" + fn + "\"");
+  }
+
+  var numbers = getNumbers(values);
+
+  if (numbers.length < size) {
+    return [];
+  }
+
+  if (typeof fn == "function") {
+    return numbers.slice(size - 1).map((number, index) => {
+      return fn(numbers.slice(index, index + size));
+    });
+  }
+
+  return rollingFunctions[fn](numbers, size);
+}
+
+/*
+ * Named statistics for rolling(), each receiving the numbers and the window
+ * size, and returning an Array with one result per full window.
+ */
+var rollingFunctions = {
+  sum(numbers, size) {
+    var scaled = numbers.map(toScaled);
+
+    // Infinite values have no scaled integer, so add each window instead.
+    if (scaled.includes(null)) {
+      return numbers.slice(size - 1).map((number, index) => {
+        return add(numbers.slice(index, index + size));
+      });
+    }
+
+    var scale = scaled.reduce((scale, { scale: places }) => Math.max(scale, places), 0);
+    var total = 0n;
+    var sums = [];
+
+    scaled.forEach(({ integer, scale: places }, index) => {
+      total += integer * 10n ** BigInt(scale - places);
+
+      if (index >= size) {
+        var { integer: leaving, scale: shift } = scaled[index - size];
+
+        total -= leaving * 10n ** BigInt(scale - shift);
+      }
+
+      if (index >= size - 1) {
+        sums.push(+fromScaled({ integer: total, scale }));
+      }
+    });
+
+    return sums;
+  },
+
+  mean(numbers, size) {
+    return rollingFunctions.sum(numbers, size).map(sum => divideNaN(sum, size));
+  },
+
+  min(numbers, size) {
+    return slidingExtremes(numbers, size, (a, b) => a <= b);
+  },
+
+  max(numbers, size) {
+    return slidingExtremes(numbers, size, (a, b) => a >= b);
+  },
+
+  median(numbers, size) {
+    var sorted = [];
+    var medians = [];
+    var middle = Math.floor(size / 2);
+
+    numbers.forEach((number, index) => {
+      sorted.splice(sortedIndex(sorted, number), 0, number);
+
+      if (index >= size) {
+        sorted.splice(sortedIndex(sorted, numbers[index - size]), 1);
+      }
+
+      if (index >= size - 1) {
+        medians.push(size % 2
+          ? sorted[middle]
+          : mean(sorted[middle - 1], sorted[middle])
+        );
+      }
+    });
+
+    return medians;
+  }
+};
+
+/**
+ * @function ema, for safely calculating the exponential moving average of an
+ * Array of values, where each average is the smoothing factor, alpha, times
+ * the value, plus 1 - alpha times the previous average. The first average is
+ * the first value.
+ * 
+ * A higher alpha, from 0 to 1, gives more weight to recent values. For an
+ * average over about n values, alpha is commonly 2 / (n + 1).
+ * 
+ * Values that are not functionally numeric are ignored. Returns an Array with
+ * one average per value.
+ * 
+ * Throws a RangeError if alpha is not greater than 0 and at most 1.
+ * 
+ * @param {Array} values
+ * @param {number} alpha
+ * @returns {Array<number>}
+ */
+function ema(values, alpha) {
+  var factor = toNumber(alpha);
+
+  if (!(factor > 0 && factor <= 1)) {
+    throw new RangeError("Invalid smoothing factor " + alpha);
+  }
+
+  var complement = minus(1, factor);
+  var average;
+
+  return getNumbers(values).map((number, index) => {
+    average = index === 0
+      ? number
+      : add(multiply(factor, number), multiply(complement, average));
+
+    return average;
+  });
+}
+
+/**
+ * @function cumsum, for safely calculating the running total of an Array of
+ * values, e.g., the balance after each entry in a ledger.
+ * 
+ * Values that are not functionally numeric are ignored. Returns an Array with
+ * one total per value.
+ * 
+ * Example: `cumsum([0.1, 0.2, 0.3])` returns [0.1, 0.3, 0.6], rather than
+ * [0.1, 0.30000000000000004, 0.6000000000000001].
+ * 
+ * @param {Array} values
+ * @returns {Array<number>}
+ */
+function cumsum(values) {
+  var total = 0;
+
+  return getNumbers(values).map(number => total = add(total, number));
+}
+
+/**
+ * @function cumprod, for safely calculating the running product of an Array of
+ * values, e.g., the growth factor after each period.
+ * 
+ * Values that are not functionally numeric are ignored. Returns an Array with
+ * one product per value.
+ * 
+ * @param {Array} values
+ * @returns {Array<number>}
+ */
+function cumprod(values) {
+  var product = 1;
+
+  return getNumbers(values).map(number => product = multiply(product, number));
+}
+
+/**
+ * @function diff, for safely calculating the difference between each value in
+ * an Array and the value before it.
+ * 
+ * Values that are not functionally numeric are ignored. Returns an Array with
+ * one difference per value after the first.
+ * 
+ * @param {Array} values
+ * @returns {Array<number>}
+ */
+function diff(values) {
+  var numbers = getNumbers(values);
+
+  return numbers.slice(1).map((number, index) => minus(number, numbers[index]));
+}
+
+/**
+ * @function percentChange, for safely calculating the change from each value
+ * in an Array to the next, as a percentage of the earlier value, e.g., a
+ * change from 80 to 100 is 25, and from 100 to 80 is -20.
+ * 
+ * Values that are not functionally numeric are ignored. Returns an Array with
+ * one percentage per value after the first. A change from 0 is Infinity,
+ * -Infinity, or NaN (no change).
+ * 
+ * @param {Array} values
+ * @returns {Array<number>}
+ */
+function percentChange(values) {
+  var numbers = getNumbers(values);
+
+  return numbers.slice(1).map((number, index) => {
+    var previous = numbers[index];
+
+    /*
+     * Multiply before dividing, so that, e.g., a change from 3 to 4 returns
+     * 33.333333333333336, the nearest number to 100 / 3.
+     */
+
+    return divide(multiply(minus(number, previous), 100), previous);
+  });
+}
+
+
+/* Conversion functions */
+
+
+/**
+ * @function percent returns 1/100th of a value.
+ * 
+ * If the value is not functionally numeric or falsy (0), the value is
+ * returned.
+ *
+ * @param {*}
+ * @returns {number}
+ */
+function percent(value) {
+  var number = Object(value).valueOf();
+
+  if (!isNumeric(value) || !number) {
+    return value
+  }
+
+  return divide(number, 100);
+}
+
+/**
+ * @function percentOf returns the percentage that a part is of a whole, so
+ * that `percentOf(30, 120)` returns 25.
+ * 
+ * If either value is not functionally numeric, the part is returned, and if
+ * either parses to NaN, e.g., "abc", NaN is returned. A whole of 0 returns
+ * Infinity, -Infinity, or NaN, as with division.
+ * 
+ * @param {*} part
+ * @param {*} whole
+ * @returns {number}
+ */
+function percentOf(part, whole) {
+  return percentOperation(part, whole, (number, total) => {
+    return divide(multiply(number, 100), total);
+  }, [toNumber, toNumber]);
+}
+
+/**
+ * @function addPercent returns a value increased by a percentage, such as a
+ * markup or a tax, so that `addPercent(19.99, 15)` returns 22.9885.
+ * 
+ * The percentage may be a number, such as 15, or a string, such as "15%".
+ * Invalid values are handled as in percentOf().
+ * 
+ * @param {*} value
+ * @param {*} pct
+ * @returns {number}
+ */
+function addPercent(value, pct) {
+  return percentOperation(value, pct, (number, rate) => {
+    return divide(multiply(number, add(100, rate)), 100);
+  });
+}
+
+/**
+ * @function subtractPercent returns a value decreased by a percentage, such
+ * as a discount, so that `subtractPercent(19.99, 15)` returns 16.9915.
+ * 
+ * Takes the same arguments as addPercent().
+ * 
+ * @param {*} value
+ * @param {*} pct
+ * @returns {number}
+ */
+function subtractPercent(value, pct) {
+  return percentOperation(value, pct, (number, rate) => {
+    return divide(multiply(number, minus(100, rate)), 100);
+  });
+}
+
+/**
+ * @function reversePercent is the inverse of addPercent(), and returns the
+ * value before a percentage was added to it, such as the amount before tax,
+ * so that `reversePercent(22.9885, 15)` returns 19.99.
+ * 
+ * Takes the same arguments as addPercent().
+ * 
+ * @param {*} value
+ * @param {*} pct
+ * @returns {number}
+ */
+function reversePercent(value, pct) {
+  return percentOperation(value, pct, (number, rate) => {
+    return divide(multiply(number, 100), add(100, rate));
+  });
+}
+
+/**
+ * @function percentagePoints returns the difference between two percentages
+ * in percentage points. A rate that rises from 3.5 to 4.25 percent rises by
+ * 0.75 percentage points, although it rises by about 21.43 percent.
+ * 
+ * Both percentages may be numbers or strings, such as "3.5%". Invalid values
+ * are handled as in percentOf().
+ * 
+ * @param {*} from
+ * @param {*} to
+ * @returns {number}
+ */
+function percentagePoints(from, to) {
+  return percentOperation(from, to, (start, end) => {
+    return minus(end, start);
+  }, [toPercentage, toPercentage]);
+}
+
+/**
+ * @function basisPoints returns 1/10000th of a value, so that 25 basis points
+ * returns 0.0025.
+ * 
+ * If the value is not functionally numeric, the value is returned, and if it
+ * parses to NaN, NaN is returned.
+ * 
+ * @param {*}
+ * @returns {number}
+ */
+function basisPoints(value) {
+  if (!isNumeric(value)) {
+    return value
+  }
+
+  var number = toNumber(value);
+
+  return number !== number
+    ? number
+    : divide(number, 10000);
+}
+
+/**
+ * @function perMille returns 1/1000th of a value, so that 5 per mille (5‰)
+ * returns 0.005. Invalid values are handled as in basisPoints().
+ * 
+ * @param {*}
+ * @returns {number}
+ */
+function perMille(value) {
+  if (!isNumeric(value)) {
+    return value
+  }
+
+  var number = toNumber(value);
+
+  return number !== number
+    ? number
+    : divide(number, 1000);
+}
+
+/**
+ * @function power returns a value raised to the exponent, e.g., 2 to the power
+ * of 3 returns 8.
+ * 
+ * If either the value or the exponent is not functionally numeric, the value
+ * is returned.
+ * 
+ * If the exponent is not provided, it is assigned 1 by default, to mitigate
+ * these cases with Math.pow():
+ * 
+ *  Math.pow(9, undefined) => NaN
+ *  Math.pow(9, null) => 1
+ *  Math.pow(9, "") => 1
+ *  Math.pow(9, "  ") => 1
+ * 
+ * Function ultimately relies on multiply() to guard against impedance cases,
+ * such as `Math.pow(1.1, 2) => 1.2100000000000002`.
+ * 
+ * Integer exponents are calculated by exponentiation by squaring, so that
+ * large exponents, such as 1.0001 to the 1000000, need few steps. If the
+ * value is a BigInt, and the exponent a non-negative integer, the result is
+ * an exact BigInt.
+ * 
+ * Fractional exponents that are ratios of small integers, such as 0.5, 1.5,
+ * or 1/3, return exact roots where they exist, so that 1.21 to the 0.5
+ * returns 1.1, and 8 to the 1/3 returns 2. If `places` is provided, the result
+ * is calculated to, and rounded half-up to, that many decimal places.
+ * 
+ * @param {{value: *, exponent: *, places: number}} param0
+ * @returns {number} 
+ */
+function power({ value = undefined, exponent = 1, places = undefined }) {
+  if (!isNumeric(value) || !isNumeric(exponent)) {
+    return value
+  }
+
+  var integer = Object(value).valueOf();
+  var power = Object(exponent).valueOf();
+
+  // A BigInt raised to a non-negative integer is an exact BigInt.
+  var whole = typeof power == "bigint" || Number.isInteger(power);
+
+  if (typeof integer == "bigint" && whole && power >= 0) {
+    return integer ** BigInt(power);
+  }
+
+  var number = typeof integer == "bigint"
+    ? Number(integer)
+    : toNumber(value);
+
+  power = typeof power == "bigint"
+    ? Number(power)
+    : toNumber(exponent);
+
+  if (places !== undefined) {
+    places = Math.trunc(places) || 0;
+  }
+
+  if (!Number.isInteger(power)) {
+
+    /*
+     * 19 October 2026: If the exponent is a ratio, p / q, of small integers,
+     * raise the number to p and take the qth root of that with BigInt scaled
+     * integers, which is exact, or calculated to a number of places.
+     */
+
+    var ratio = toFraction(Math.abs(power));
+    var exact = ratio && powerScaled(number, ratio, power < 0, places);
+
+    if (exact !== undefined && exact !== null) {
+      return exact;
+    }
+
+    /*
+     * 26 November 2020: Solving for fractional exponents.
+     * If power contains a fraction, sign it the same as the integer length,
+     * then use Math.pow on number to the fraction, and multiply that by number
+     * to the integer length.
+     * 
+     * 19 October 2026: If power is negative, number to the integer length is
+     * a reciprocal that is already rounded, so use Math.pow on number to the
+     * whole power instead, e.g., 1.1 to the -1.1 returns 0.900467507467747,
+     * where the product of the parts is 0.9004675074677471.
+     */
+
+    var length = Math.trunc(power);
+    var fraction = minus(power, length);
+
+    var left = Math.pow(number, fraction)
+    var right = Math.pow(number, length)
+    var result = power < 0
+      ? Math.pow(number, power)
+      : multiply(left, right);
+
+    // 19 October 2026: Round to places, if any, as the exact path does.
+    return places === undefined
+      ? result
+      : round(result, places)
+  }
+
+  /*
+   * 19 October 2026: Otherwise, raise the number to the integer power by
+   * squaring, rather than multiplying a series of the number, which is filled
+   * to the length of the exponent, so that exponents in the millions need
+   * only about 20 steps.
+   */
+
+  var result = isFinite(number) && number !== 0
+    ? powerInteger(number, power)
+    : Math.pow(number, power);
+
+  return places === undefined
+    ? result
+    : round(result, places);
+}
+
+/**
+ * @function reciprocal returns the reciprocal of a value.
+ * 
+ * If the value is not functionally numeric, the value is returned.
+ *
+ * @param {*}
+ * @returns {number} 
+ */
+function reciprocal(value) {
+  return power({ value, exponent: -1 });
+}
+
+/**
+ * @function square returns the square of a value.
+ * 
+ * If the value is not functionally numeric, the value is returned.
+ *
+ * @param {*}
+ * @returns {number} 
+ */
+function square(value) {
+  return power({ value, exponent: 2 })
+}
+
+/**
+ * @function sqrt returns the square root of a value, calculated to a number of
+ * decimal places if `places` is provided.
+ * 
+ * If the value is numerically negative, an Error object is returned.
+ * 
+ * If the value is not functionally numeric the value is returned.
+ *
+ * @param {*}
+ * @param {number} places
+ * @returns {number} 
+ */
+function sqrt(value, places) {
+  if (value < 0) {
     return new Error("Invalid Input")
   }
 
-  return power({ value, exponent: 0.5 });
-}
+  return root(value, 2, places);
+}
+
+/**
+ * @function root returns the nth root of a value, e.g., the 3rd (cube) root
+ * of 27 returns 3.
+ * 
+ * Roots that are exact decimals are calculated exactly, with BigInt scaled
+ * integers, so that the square root of 1.21 returns 1.1. Otherwise, if
+ * `places` is provided, the root is calculated to, and rounded half-up to,
+ * that many decimal places, or else Math.pow() is used. Places that would
+ * take more than 25000 digits, e.g., 300000, also use Math.pow().
+ * 
+ * Odd roots of negative values are negative, e.g., the cube root of -8
+ * returns -2. Even roots of negative values return NaN.
+ * 
+ * If the value is not functionally numeric, the value is returned.
+ * 
+ * Throws a RangeError if n is not a positive integer.
+ * 
+ * @param {*} value
+ * @param {number} n, default 2
+ * @param {number} places
+ * @returns {number}
+ */
+function root(value, n = 2, places = undefined) {
+  var degree = toNumber(n);
+
+  if (!(degree > 0 && Number.isInteger(degree))) {
+    throw new RangeError("Invalid root " + n);
+  }
+
+  if (!isNumeric(value)) {
+    return value
+  }
+
+  var number = toNumber(value);
+
+  if (places !== undefined) {
+    places = Math.trunc(places) || 0;
+  }
+
+  if (number < 0) {
+    return degree % 2
+      ? -root(-number, degree, places)
+      : NaN;
+  }
+
+  var scaled = toScaled(number);
+  var result = scaled && rootScaled(scaled, degree, places);
+
+  if (result !== undefined && result !== null) {
+    return result;
+  }
+
+  result = degree === 2
+    ? Math.sqrt(number)
+    : Math.pow(number, 1 / degree);
+
+  // 19 October 2026: Round to places, if any, past the bound in rootScaled.
+  return places === undefined
+    ? result
+    : round(result, places);
+}
+
+/**
+ * @function log returns the logarithm of a value to a base (default Math.E),
+ * the exponent to which the base is raised to produce the value, e.g., the
+ * logarithm of 1000 to the base 10 returns 3.
+ * 
+ * If the value is an exact power of the base, such as 0.001 of 10, or 0.125
+ * of 2, the exponent is returned as an exact integer, rather than, e.g.,
+ * Math.log(1000) / Math.log(10), which returns 2.9999999999999996.
+ * 
+ * As with Math.log(), 0 returns -Infinity, and negative values return NaN, as
+ * does a base that is not positive, or is 1.
+ * 
+ * If the value is not functionally numeric, the value is returned.
+ * 
+ * @param {*} value
+ * @param {*} base
+ * @returns {number}
+ */
+function log(value, base = Math.E) {
+  if (!isNumeric(value)) {
+    return value
+  }
+
+  var number = toNumber(value);
+  var radix = isNumeric(base)
+    ? toNumber(base)
+    : NaN;
+
+  if (!(radix > 0) || radix === 1) {
+    return NaN;
+  }
+
+  var logarithm = radix === 10
+    ? Math.log10(number)
+    : radix === 2
+      ? Math.log2(number)
+      : Math.log(number) / Math.log(radix);
+
+  if (!isFinite(logarithm)) {
+    return logarithm;
+  }
+
+  // If the nearest integer exponent raises the base to the value, return it.
+  var exponent = Math.round(logarithm);
+
+  return power({ value: radix, exponent }) === number
+    ? exponent
+    : logarithm;
+}
+
+/**
+ * @function log10 returns the logarithm of a value to the base 10.
+ * 
+ * If the value is not functionally numeric, the value is returned.
+ * 
+ * @param {*} value
+ * @returns {number}
+ */
+function log10(value) {
+  return log(value, 10);
+}
+
+/**
+ * @function log2 returns the logarithm of a value to the base 2.
+ * 
+ * If the value is not functionally numeric, the value is returned.
+ * 
+ * @param {*} value
+ * @returns {number}
+ */
+function log2(value) {
+  return log(value, 2);
+}
+
+/**
+ * @function ln returns the natural logarithm of a value, to the base e.
+ * 
+ * If the value is not functionally numeric, the value is returned.
+ * 
+ * @param {*} value
+ * @returns {number}
+ */
+function ln(value) {
+  return log(value, Math.E);
+}
+
+/**
+ * @function exp returns e raised to the power of a value, the inverse of
+ * ln(), e.g., exp(1) returns Math.E, and exp(0) returns 1.
+ * 
+ * If the value is not functionally numeric, the value is returned.
+ * 
+ * @param {*} value
+ * @returns {number}
+ */
+function exp(value) {
+  if (!isNumeric(value)) {
+    return value
+  }
+
+  return Math.exp(toNumber(value));
+}
+
+
+/**
+ * @function round returns a value rounded to a number of decimal places,
+ * using one of the following rounding modes:
+ * 
+ *  "half-up" (default), rounds ties away from zero, so 1.005 becomes 1.01,
+ *  "half-even", rounds ties to the even neighbor (banker's rounding),
+ *  "half-down", rounds ties toward zero,
+ *  "ceil", rounds toward positive Infinity,
+ *  "floor", rounds toward negative Infinity,
+ *  "truncate", rounds toward zero.
+ * 
+ * Rounding is applied to the decimal digits of the value, rather than to its
+ * binary representation, to avoid impedance cases such as
+ * `Math.round(1.005 * 100) / 100 => 1` and `(2.675).toFixed(2) => "2.67"`.
+ * 
+ * Negative places round to the left of the decimal point, so that rounding
+ * 1250 to -2 places returns 1300.
+ * 
+ * If the value is not functionally numeric, the value is returned.
+ * 
+ * Throws a RangeError if the mode is not one of the above.
+ * 
+ * @param {*} value
+ * @param {number} places
+ * @param {string} mode
+ * @returns {number}
+ */
+function round(value, places = 0, mode = "half-up") {
+  if (!Object.prototype.hasOwnProperty.call(roundingModes, mode)) {
+    throw new RangeError("Invalid rounding mode \"" + mode + "\"");
+  }
+
+  if (!isNumeric(value)) {
+    return value
+  }
+
+  var number = toNumber(value);
+
+  places = Math.trunc(places) || 0;
+
+  if (!isFinite(number)) {
+    return number
+  }
+
+  if (places < 0) {
+    var shift = Math.pow(10, -places);
+
+    /*
+     * Past the largest Number, a finite number is less than one unit in the
+     * place, so it rounds to 0, or to Infinity in a mode that rounds it up.
+     */
+    if (!isFinite(shift)) {
+      var up = roundingModes[mode](0, number !== 0, false, number < 0);
+
+      return up
+        ? number * Infinity
+        : 0;
+    }
+
+    return multiply(round(divide(number, shift), 0, mode), shift);
+  }
+
+  return roundDecimal(plain(number), places, mode, false);
+}
+
+/*
+ * Rounding modes, keyed by name. Each decides whether to round a truncated
+ * magnitude up by one unit in the last place, given the first discarded
+ * digit, whether any later discarded digit is non-zero (the tail), whether the
+ * last kept digit is odd, and whether the value is negative.
+ */
+var roundingModes = {
+  "half-up": (digit) => digit >= 5,
+  "half-even": (digit, tail, odd) => digit > 5 || digit == 5 && (tail || odd),
+  "half-down": (digit, tail) => digit > 5 || digit == 5 && tail,
+  "ceil": (digit, tail, odd, negative) => !negative && (digit > 0 || tail),
+  "floor": (digit, tail, odd, negative) => negative && (digit > 0 || tail),
+  "truncate": () => false
+};
+
+
+/* Parsing and formatting functions */
+
+
+/**
+ * @function parse, converts a functionally numeric value to a number, using
+ * the grouping and decimal separators of the current locale (see setLocale),
+ * or of the given locale.
+ * 
+ * Formatted strings are parsed by removing whitespace (including no-break
+ * spaces), underscores, currency symbols and codes, and group separators,
+ * and reading the decimal separator as a point. A trailing "%" is converted
+ * by percent().
+ * 
+ * Examples:
+ * 
+ *  parse("$1,234.56") returns 1234.56,
+ *  parse("1.234,56", "de-DE") returns 1234.56,
+ *  parse("1 234,56 €", "fr-FR") returns 1234.56,
+ *  parse("12%") returns 0.12,
+ *  parse("1_000") returns 1000.
+ * 
+ * If the value is not functionally numeric, NaN is returned.
+ * 
+ * @param {*} value
+ * @param {string|{ group: string, decimal: string }} locale
+ * @returns {number}
+ */
+function parse(value, locale) {
+  if (!isNumeric(value)) {
+    return NaN
+  }
+
+  return locale === undefined
+    ? toNumber(value)
+    : toNumber(value, separatorsFor(locale));
+}
+
+/**
+ * @function format, returns a value as a display string, rounded with the
+ * library's decimal-correct round() function, and never in exponent notation,
+ * e.g., format(1e-7) returns "0.0000001".
+ * 
+ * Options:
+ * 
+ *  places, the number of decimal places to round and pad to; by default,
+ *    values are not rounded, except currencies, which are rounded to the
+ *    currency's minor units,
+ *  rounding, a mode supported by round() (default "half-up"),
+ *  grouping, whether to insert group separators (default true),
+ *  locale, a BCP 47 language tag for the separators, signs and symbols
+ *    (default, the locale set by setLocale),
+ *  style, "decimal" (default), "percent", which multiplies the value by 100,
+ *    or "currency",
+ *  currency, an ISO 4217 currency code, required with the currency style,
+ *  signDisplay, "auto" (default), "always", "exceptZero", or "never".
+ * 
+ * Signs, currency symbols, and percent signs are placed by Intl.NumberFormat.
+ * Digits are always written as 0-9, grouped by thousands.
+ * 
+ * Examples:
+ * 
+ *  format(1234567.891) returns "1,234,567.891",
+ *  format(0.125, { style: "percent", places: 1 }) returns "12.5%",
+ *  format(-1234.5, { style: "currency", currency: "USD" }) returns "-$1,234.50",
+ *  format(1234.5, { locale: "de-DE", places: 2 }) returns "1.234,50".
+ * 
+ * @param {*} value
+ * @param {object} options
+ * @returns {string}
+ */
+function format(value, options = {}) {
+  var {
+    places,
+    rounding = "half-up",
+    grouping = true,
+    locale = numberFormat.locale,
+    style = "decimal",
+    currency,
+    signDisplay = "auto"
+  } = options;
+
+  var formatter = new Intl.NumberFormat(locale, {
+    style,
+    currency,
+    signDisplay,
+    useGrouping: grouping
+  });
+
+  var number = parse(value);
+
+  if (!isFinite(number)) {
+    return formatter.format(number);
+  }
+
+  if (style === "percent") {
+    number = multiply(number, 100);
+  }
+
+  if (places === undefined && style === "currency") {
+    places = formatter.resolvedOptions().maximumFractionDigits;
+  }
+
+  if (places !== undefined) {
+    number = round(number, places, rounding);
+  }
+
+  var { group, decimal } = locale === numberFormat.locale
+    ? numberFormat
+    : separatorsFor(locale);
+
+  var { "0": integer, "1": fraction = "" } = plain(Math.abs(number)).split('.');
+
+  if (places > 0) {
+    fraction = fraction.padEnd(places, "0");
+  }
+
+  if (grouping) {
+    integer = integer.replace(/\B(?=(\d{3})+$)/g, group);
+  }
+
+  var digits = integer + (fraction ? decimal + fraction : "");
+
+  /*
+   * Format a sample with the same sign as the value, and replace its number
+   * parts with the digits.
+   */
+
+  var sample = number < 0 ? -1 : number > 0 ? 1 : 0;
+  var reNumber = /^(integer|group|decimal|fraction)$/;
+
+  return formatter.formatToParts(sample).map((part, index, parts) => {
+    if (!reNumber.test(part.type)) {
+      return part.value;
+    }
+
+    // Write the digits in place of the first number part only.
+    return index > 0 && reNumber.test(parts[index - 1].type)
+      ? ""
+      : digits;
+  }).join("");
+}
+
+/**
+ * @function setLocale, sets the grouping and decimal separators used by all
+ * functions to parse formatted strings, and returns them.
+ * 
+ * The locale may be a BCP 47 language tag, such as "de-DE", whose separators
+ * are derived from Intl.NumberFormat, or an object with `group` and `decimal`
+ * separator strings. If the locale is not provided, the default separators,
+ * "," and ".", are restored.
+ * 
+ * Throws a RangeError if the group and decimal separators are the same.
+ * 
+ * @param {string|{ group: string, decimal: string }} locale
+ * @returns {{ locale: string, group: string, decimal: string }}
+ */
+function setLocale(locale) {
+  var { group, decimal } = separatorsFor(locale);
+
+  numberFormat = {
+    locale: typeof locale == "string" ? locale : undefined,
+    group,
+    decimal
+  };
+
+  return Object.assign({}, numberFormat);
+}
+
+/*
+ * Separators used to parse formatted strings, set by setLocale().
+ */
+var numberFormat = {
+  locale: undefined,
+  group: ",",
+  decimal: "."
+};
+
+
+/* Wrapper functions */
+
+
+/**
+ * @function safe, wraps a value in a chainable object whose methods delegate
+ * to the operator and conversion functions, so that nested calls such as
+ * `divide(multiply(add(a, b), c), d)` can be written as
+ * `safe(a).add(b).multiply(c).divide(d)`.
+ * 
+ * Each method returns a new wrapper, leaving the original unchanged.
+ * 
+ * The wrapper is itself functionally numeric, so it can be passed back into
+ * any of the library functions, compared with relational operators, or
+ * serialized with JSON.stringify().
+ * 
+ * If the value is not functionally numeric, the wrapped value is NaN, and
+ * stays NaN through every method, as does a wrapper given a NaN argument, or
+ * a result that is not a number, such as the Error from sqrt(-1).
+ * 
+ * The divide() method throws a RangeError for the `repeating` option, whose
+ * quotient is a string.
+ * 
+ * @param {*} value
+ * @returns {object} wrapper
+ */
+function safe(value) {
+  var number = isNumeric(value)
+    ? toNumber(value)
+    : NaN;
+
+  // Carry NaN through, as the operators ignore NaN operands.
+  function chain(values, operation) {
+    return safe(hasNaN([number, ...values]) ? NaN : operation());
+  }
+
+  return {
+    add(...values) {
+      return chain(values, () => add(number, ...getValues(...values)));
+    },
+
+    minus(...values) {
+      return chain(values, () => minus(number, ...getValues(...values)));
+    },
+
+    multiply(...values) {
+      return chain(values, () => multiply(number, ...getValues(...values)));
+    },
+
+    divide(...values) {
+      // Keep an options object in front of the dividend.
+      var options = isOptions(values[0])
+        ? [values.shift()]
+        : [];
+
+      if (options.length && options[0].repeating) {
+        throw new RangeError("Invalid option \"repeating\" for safe()");
+      }
+
+      return chain(values, () => {
+        return divide(...options, number, ...getValues(...values));
+      });
+    },
+
+    power(exponent, places) {
+      return chain([exponent], () => {
+        return power({ value: number, exponent, places });
+      });
+    },
+
+    sqrt(places) {
+      return chain([], () => sqrt(number, places));
+    },
+
+    root(n, places) {
+      return chain([], () => root(number, n, places));
+    },
+
+    percent() {
+      return chain([], () => percent(number));
+    },
+
+    round(places, mode) {
+      return chain([], () => round(number, places, mode));
+    },
+
+    valueOf() {
+      return number;
+    },
+
+    toString(radix) {
+      return number.toString(radix);
+    },
+
+    toJSON() {
+      return number;
+    },
+
+    [Symbol.toPrimitive](hint) {
+      return hint === "string"
+        ? number.toString()
+        : number;
+    }
+  };
+}
+
+
+/* Accumulator functions */
+
+
+/**
+ * @function createAccumulator, returns an object that calculates series
+ * statistics one value at a time, so that large datasets can be streamed
+ * through it without passing every value as an argument, or holding them all
+ * in an Array.
+ * 
+ * Values are added with push(value) or pushAll(iterable). Values that are not
+ * functionally numeric are ignored. The sum, and the sums used to derive the
+ * variance, are updated with add().
+ * 
+ * The count, sum, min, max, mean, variance, stdev, pvariance, pstdev, and
+ * range getters return the current statistics, or 0 if no values have been
+ * added.
+ * 
+ * Accumulators for separate chunks of a dataset can be combined with
+ * merge(other), where other is an accumulator, or the plain object returned
+ * by its toJSON() method, e.g., from a worker.
+ * 
+ * Example:
+ * 
+ *  var accumulator = createAccumulator().pushAll([0.1, 0.2]);
+ *  accumulator.push(0.3);
+ *  accumulator.mean; // 0.2
+ * 
+ * @returns {object} accumulator
+ */
+function createAccumulator() {
+  var count = 0;
+  var sum = 0;
+  var min = 0;
+  var max = 0;
+
+  /*
+   * The sum of deviations from a shift value, and the sum of their squares,
+   * from which the sum of squared deviations from the mean is derived. The
+   * first value is the shift, so that the deviations stay small, and
+   * subtracting the squares does not lose digits when the values are large
+   * and close together.
+   */
+
+  var shift = 0;
+  var deviations = 0;
+  var squares = 0;
+
+  // The sum of squared deviations from the mean.
+  function m2() {
+    return count > 0
+      ? minus(squares, divide(multiply(deviations, deviations), count))
+      : 0;
+  }
+
+  return {
+    push(value) {
+      var number = isNumeric(value)
+        ? toNumber(value)
+        : NaN;
+
+      if (number !== number) {
+        return this;
+      }
+
+      if (count === 0) {
+        shift = min = max = number;
+      }
+
+      var deviation = minus(number, shift);
+
+      count += 1;
+      sum = add(sum, number);
+      min = Math.min(min, number);
+      max = Math.max(max, number);
+      deviations = add(deviations, deviation);
+      squares = add(squares, multiply(deviation, deviation));
+
+      return this;
+    },
+
+    pushAll(values) {
+      for (var value of values) {
+        this.push(value);
+      }
+
+      return this;
+    },
+
+    merge(other) {
+      var state = typeof Object(other).toJSON == "function"
+        ? other.toJSON()
+        : Object(other);
+
+      if (!(state.count > 0)) {
+        return this;
+      }
+
+      var total = count + state.count;
+      var squared = state.m2;
+
+      if (count > 0) {
+
+        /*
+         * Chan et al.'s parallel algorithm combines the squared deviations of
+         * two chunks, plus a correction for the difference between their
+         * means.
+         */
+
+        var delta = minus(divide(state.sum, state.count), divide(sum, count));
+        var correction = divide(multiply(delta, delta, count, state.count), total);
+
+        squared = add(m2(), squared, correction);
+        min = Math.min(min, state.min);
+        max = Math.max(max, state.max);
+      } else {
+        shift = divide(state.sum, state.count);
+        min = state.min;
+        max = state.max;
+      }
+
+      // Restate the combined squared deviations relative to our shift.
+      count = total;
+      sum = add(sum, state.sum);
+      deviations = minus(sum, multiply(count, shift));
+      squares = add(squared, divide(multiply(deviations, deviations), count));
+
+      return this;
+    },
+
+    get count() {
+      return count;
+    },
+
+    get sum() {
+      return sum;
+    },
+
+    get min() {
+      return min;
+    },
+
+    get max() {
+      return max;
+    },
+
+    get mean() {
+      return count > 0
+        ? divideNaN(sum, count)
+        : 0;
+    },
+
+    get variance() {
+      return count > 1
+        ? divideNaN(m2(), count - 1)
+        : 0;
+    },
+
+    get stdev() {
+      return sqrt(this.variance);
+    },
+
+    get pvariance() {
+      return count > 1
+        ? divideNaN(m2(), count)
+        : 0;
+    },
+
+    get pstdev() {
+      return sqrt(this.pvariance);
+    },
+
+    get range() {
+      return minus(max, min);
+    },
+
+    toJSON() {
+      return { count, sum, min, max, m2: m2() };
+    }
+  };
+}
+
+
+/* Expression functions */
+
+
+/**
+ * @function evaluate, for safely calculating the result of an arithmetic
+ * expression, such as a spreadsheet-style formula, with optional variables.
+ * 
+ * Example: `evaluate("(0.1 + 0.2) * qty / 3", { qty: 7 })` returns 0.7.
+ * 
+ * Supported syntax, from lowest to highest precedence:
+ *  + and - for add() and minus(),
+ *  * and / for multiply() and divide(),
+ *  unary - and +,
+ *  ^ for power(), right-associative, so 2 ^ 3 ^ 2 is 2 ^ 9,
+ *  postfix % for percent(), so 50% is 0.5,
+ *  numbers, variable names, parenthesized expressions, and function calls.
+ * 
+ * Every operation is delegated to the library's functions, so that the
+ * expression evaluates without binary-decimal impedance errors.
+ * 
+ * Variables may be any functionally numeric value. If an operand or function
+ * argument is NaN, e.g., the result of sqrt(-1), the result is NaN.
+ * 
+ * Throws a SyntaxError for malformed expressions, a ReferenceError for unknown
+ * variables or functions, and a TypeError for variables that are not numbers,
+ * e.g., null or "abc". Each reports the 1-based column of the offending token
+ * in the message and in a `column` property.
+ * 
+ * @param {string} expression
+ * @param {object} variables
+ * @returns {number}
+ */
+function evaluate(expression, variables = {}) {
+  var tokens = tokenize(String(expression));
+  var index = 0;
+
+  var result = parseAdditive();
+
+  if (index < tokens.length) {
+    fail(SyntaxError, "Unexpected " + tokenName(tokens[index]), tokens[index]);
+  }
+
+  return result;
+
+  // additive: multiplicative (("+" | "-") multiplicative)*
+  function parseAdditive() {
+    var value = parseMultiplicative();
+
+    while (peek("+") || peek("-")) {
+      var operator = tokens[index++].value;
+      var next = parseMultiplicative();
+
+      value = operate(operator === "+" ? add : minus, value, next);
+    }
+
+    return value;
+  }
+
+  // multiplicative: unary (("*" | "/") unary)*
+  function parseMultiplicative() {
+    var value = parseUnary();
+
+    while (peek("*") || peek("/")) {
+      var operator = tokens[index++].value;
+      var next = parseUnary();
+
+      value = operate(operator === "*" ? multiply : divide, value, next);
+    }
+
+    return value;
+  }
+
+  // unary: ("-" | "+") unary | exponential
+  function parseUnary() {
+    if (peek("-")) {
+      index++;
+
+      // Negation is exact, and avoids minus() ignoring a NaN operand.
+      return -parseUnary();
+    }
+
+    if (peek("+")) {
+      index++;
+
+      return parseUnary();
+    }
+
+    return parseExponential();
+  }
+
+  // exponential: postfix ("^" unary)?
+  function parseExponential() {
+    var value = parsePostfix();
+
+    if (peek("^")) {
+      index++;
+
+      return power({ value, exponent: parseUnary() });
+    }
+
+    return value;
+  }
+
+  // postfix: primary "%"*
+  function parsePostfix() {
+    var value = parsePrimary();
+
+    while (peek("%")) {
+      index++;
+      value = percent(value);
+    }
+
+    return value;
+  }
+
+  // primary: number | name | name "(" arguments ")" | "(" additive ")"
+  function parsePrimary() {
+    var token = tokens[index++];
+
+    if (!token) {
+      fail(SyntaxError, "Unexpected end of expression", {
+        column: expression.length + 1
+      });
+    }
+
+    if (token.type === "number") {
+      return +token.value;
+    }
+
+    if (token.type === "name") {
+      return peek("(")
+        ? parseCall(token)
+        : lookup(token);
+    }
+
+    if (token.value === "(") {
+      var value = parseAdditive();
+
+      expect(")");
+
+      return value;
+    }
+
+    fail(SyntaxError, "Unexpected " + tokenName(token), token);
+  }
+
+  // call: name "(" (additive ("," additive)*)? ")"
+  function parseCall(token) {
+    var name = token.value;
+    var args = [];
+
+    if (!Object.prototype.hasOwnProperty.call(expressionFunctions, name)) {
+      fail(ReferenceError, "Unknown function \"" + name + "\"", token);
+    }
+
+    expect("(");
+
+    if (!peek(")")) {
+      args.push(parseAdditive());
+
+      while (peek(",")) {
+        index++;
+        args.push(parseAdditive());
+      }
+    }
+
+    expect(")");
+
+    return +safe(operate(expressionFunctions[name], ...args));
+  }
+
+  function lookup(token) {
+    var name = token.value;
+
+    if (!Object.prototype.hasOwnProperty.call(Object(variables), name)) {
+      fail(ReferenceError, "Unknown variable \"" + name + "\"", token);
+    }
+
+    // Coerce strings, Booleans, and functionally numeric values.
+    var value = +safe(variables[name]);
+
+    if (value !== value) {
+      fail(TypeError, "Variable \"" + name + "\" is not a number", token);
+    }
+
+    return value;
+  }
+
+  // A call with a NaN argument returns NaN.
+  function operate(fn, ...operands) {
+    return hasNaN(operands)
+      ? NaN
+      : fn(...operands);
+  }
+
+  function peek(value) {
+    var token = tokens[index];
+
+    return !!token && token.type !== "number" && token.value === value;
+  }
+
+  function expect(value) {
+    if (!peek(value)) {
+      var token = tokens[index] || { column: expression.length + 1 };
+
+      fail(SyntaxError, "Expected \"" + value + "\" but found " + tokenName(token), token);
+    }
+
+    index++;
+  }
+}
+
+/*
+ * Functions callable by name from an evaluate() expression. Each receives
+ * its arguments as numbers.
+ */
+var expressionFunctions = {
+  add, minus, multiply, divide,
+  mean, geometricMean, harmonicMean, median, medianLow, medianHigh, range,
+  variance, stdev, pvariance, pstdev,
+  percent, percentOf, addPercent, subtractPercent, reversePercent,
+  percentagePoints, basisPoints, perMille,
+  reciprocal, square, sqrt, root, log, log10, log2, ln, exp, round,
+  power(value, exponent, places) {
+    return power({ value, exponent, places });
+  }
+};
+
+
+/* Decimal string functions */
+
+
+/**
+ * @namespace decimal, contains versions of add, minus, multiply, divide, and
+ * mean that accept and return decimal strings, and compute with BigInt scaled
+ * integers, so that values with more significant digits than a Number can
+ * hold, such as "123456789.123456789", do not lose precision.
+ * 
+ * Example: `decimal.add("123456789.123456789", "0.000000001")` returns
+ * "123456789.12345679".
+ * 
+ * Values may be decimal strings, with or without formatting commas or
+ * exponent notation, Numbers, BigInts, Booleans, or functionally numeric
+ * objects. Numbers are read from their shortest decimal representation, so
+ * 0.1 is read as "0.1".
+ * 
+ * Results are normalized decimal strings, without trailing fraction zeros or
+ * exponent notation.
+ * 
+ * Non-numeric values are ignored, as in the other series functions. If any
+ * value is non-finite (e.g., Infinity) or not a decimal (e.g., "abc"), the
+ * result of the corresponding Number function is returned as a string.
+ */
+var decimal = {
+  /**
+   * @function decimal.add, for adding decimal strings without loss.
+   * 
+   * @param  {...any} values
+   * @returns {string} sum
+   */
+  add(...values) {
+    var numbers = getValues(...values).map(toScaled);
+
+    if (numbers.includes(null)) {
+      return String(add(...values));
+    }
+
+    return fromScaled(numbers.reduce(addScaled, { integer: 0n, scale: 0 }));
+  },
+
+  /**
+   * @function decimal.minus, for subtracting decimal strings without loss.
+   * 
+   * @param  {...any} values
+   * @returns {string} difference
+   */
+  minus(...values) {
+    var numbers = getValues(...values).map(toScaled);
+
+    if (numbers.includes(null) || !numbers.length) {
+      return String(minus(...values));
+    }
+
+    return fromScaled(numbers.reduce(function (minuend, subtrahend) {
+      var { left, right, scale } = align(minuend, subtrahend);
+
+      return { integer: left - right, scale };
+    }));
+  },
+
+  /**
+   * @function decimal.multiply, for multiplying decimal strings without loss.
+   * 
+   * @param  {...any} values
+   * @returns {string} product
+   */
+  multiply(...values) {
+    var numbers = getValues(...values).map(toScaled);
+
+    if (numbers.includes(null)) {
+      return String(multiply(...values));
+    }
+
+    return fromScaled(numbers.reduce(multiplyScaled, { integer: 1n, scale: 0 }));
+  },
+
+  /**
+   * @function decimal.divide, for dividing decimal strings. The first value
+   * is divided by the product of the remaining values, and the quotient is
+   * rounded once to a number of decimal places.
+   * 
+   * If the first value is an options object, its `scale` sets the number of
+   * decimal places (default 20), and its `rounding` sets a mode supported by
+   * round() (default "half-up"). A negative scale rounds to a power of 10,
+   * so that `decimal.divide({ scale: -2 }, "123456", "1")` returns "123500".
+   * 
+   * Example: `decimal.divide({ scale: 4 }, "2", "3")` returns "0.6667".
+   * 
+   * @param  {...any} values
+   * @returns {string} quotient
+   */
+  divide(...values) {
+    var options = isOptions(values[0])
+      ? values.shift()
+      : {};
+
+    var { scale = 20, rounding = "half-up" } = options;
+    var numbers = getValues(...values).map(toScaled);
+
+    if (!Object.prototype.hasOwnProperty.call(roundingModes, rounding)) {
+      throw new RangeError("Invalid rounding mode \"" + rounding + "\"");
+    }
+
+    if (numbers.includes(null) || !numbers.length) {
+      return String(divide(...values));
+    }
+
+    var dividend = numbers.shift();
+
+    // Keep the divisor scaled, as a decimal string would be parsed by locale.
+    var divisor = numbers.reduce(multiplyScaled, { integer: 1n, scale: 0 });
+
+    return divideScaled(dividend, divisor, Math.trunc(scale) || 0, rounding);
+  },
+
+  /**
+   * @function decimal.mean, for calculating the average of a series of
+   * decimal strings, rounded half-up to 20 decimal places. If the series is
+   * empty, "0" is returned.
+   * 
+   * @param  {...any} values
+   * @returns {string}
+   */
+  mean(...values) {
+    var numbers = getValues(...values);
+
+    if (!numbers.length) {
+      return "0";
+    }
+
+    var scaled = numbers.map(toScaled);
+
+    if (scaled.includes(null)) {
+      return String(mean(numbers));
+    }
+
+    var sum = scaled.reduce(addScaled, { integer: 0n, scale: 0 });
+    var count = { integer: BigInt(numbers.length), scale: 0 };
+
+    return divideScaled(sum, count, 20, "half-up");
+  }
+};
+
+
+/* Factory functions */
+
+
+/**
+ * @function createSafeMath, returns an object containing the operator,
+ * series, and conversion functions, wrapped so that they all handle invalid
+ * input by one policy, given by the `onInvalid` option:
+ * 
+ *  "skip" (default), ignores invalid values in a series, and returns an
+ *    invalid single value unchanged, as the library functions do, or for a
+ *    negative root, what the library function returns,
+ *  "throw", throws a SafeMathError for the first invalid value,
+ *  "nan", returns NaN if any value is invalid.
+ * 
+ * A value is invalid if it is not functionally numeric, or parses to NaN,
+ * e.g., NaN, null, undefined, "", "abc", or {}. In addition, a negative value
+ * is invalid for sqrt(), and a missing argument is invalid for power().
+ * 
+ * Example:
+ * 
+ *    var { add } = createSafeMath({ onInvalid: "throw" });
+ *    add(1, "abc"); // throws SafeMathError, code "INVALID_VALUE", index 1
+ * 
+ * Throws a RangeError if onInvalid is not one of the above.
+ * 
+ * @param {{ onInvalid: string }} options
+ * @returns {object} functions
+ */
+function createSafeMath({ onInvalid = "skip" } = {}) {
+  if (!/^(skip|throw|nan)$/.test(onInvalid)) {
+    throw new RangeError("Invalid onInvalid policy \"" + onInvalid + "\"");
+  }
+
+  var functions = {};
+
+  Object.keys(signatures).forEach(name => {
+    var { 0: fn, 1: kind } = signatures[name];
+
+    functions[name] = function (...args) {
+      var check = checks[kind](fn, ...args);
+
+      if (!check) {
+        return fn(...args);
+      }
+
+      if (onInvalid === "throw") {
+        throw new SafeMathError(check.message, check);
+      }
+
+      if (onInvalid === "nan") {
+        return NaN;
+      }
+
+      return check.skip();
+    };
+  });
+
+  return functions;
+}
+
+/**
+ * @class SafeMathError, thrown by functions created with the "throw" policy,
+ * identifies the invalid value, its index among the values, and a code:
+ * 
+ *  "INVALID_VALUE", for a value that is not functionally numeric,
+ *  "NEGATIVE_ROOT", for a negative value passed to sqrt(), or to root()
+ *  with an even n,
+ *  "MISSING_ARGUMENT", for power() called without an argument.
+ * 
+ * @param {string} message
+ * @param {{ code: string, value: *, index: number }} details
+ */
+class SafeMathError extends Error {
+  constructor(message, { code, value, index }) {
+    super(message);
+
+    this.name = "SafeMathError";
+    this.code = code;
+    this.value = value;
+    this.index = index;
+  }
+}
+
+/*
+ * Functions wrapped by createSafeMath(), keyed by name, with the kind of
+ * check applied to their arguments.
+ */
+var signatures = {
+  add: [add, "series"],
+  minus: [minus, "series"],
+  multiply: [multiply, "series"],
+  divide: [divide, "series"],
+  mean: [mean, "series"],
+  weightedMean: [weightedMean, "pairs"],
+  geometricMean: [geometricMean, "series"],
+  harmonicMean: [harmonicMean, "series"],
+  trimmedMean: [trimmedMean, "list"],
+  winsorizedMean: [winsorizedMean, "list"],
+  median: [median, "series"],
+  medianLow: [medianLow, "series"],
+  medianHigh: [medianHigh, "series"],
+  mode: [mode, "series"],
+  frequency: [frequency, "list"],
+  range: [range, "series"],
+  variance: [variance, "series"],
+  stdev: [stdev, "series"],
+  pvariance: [pvariance, "series"],
+  pstdev: [pstdev, "series"],
+  quantile: [quantile, "list"],
+  quartiles: [quartiles, "list"],
+  iqr: [iqr, "list"],
+  rank: [rank, "list"],
+  percentileRank: [percentileRank, "list"],
+  describe: [describe, "list"],
+  covariance: [covariance, "pairs"],
+  correlation: [correlation, "pairs"],
+  linearRegression: [linearRegression, "pairs"],
+  rolling: [rolling, "list"],
+  ema: [ema, "list"],
+  cumsum: [cumsum, "list"],
+  cumprod: [cumprod, "list"],
+  diff: [diff, "list"],
+  percentChange: [percentChange, "list"],
+  percent: [percent, "value"],
+  percentOf: [percentOf, "operands"],
+  addPercent: [addPercent, "operands"],
+  subtractPercent: [subtractPercent, "operands"],
+  reversePercent: [reversePercent, "operands"],
+  percentagePoints: [percentagePoints, "operands"],
+  basisPoints: [basisPoints, "value"],
+  perMille: [perMille, "value"],
+  power: [power, "power"],
+  reciprocal: [reciprocal, "value"],
+  square: [square, "value"],
+  sqrt: [sqrt, "sqrt"],
+  root: [root, "root"],
+  log: [log, "value"],
+  log10: [log10, "value"],
+  log2: [log2, "value"],
+  ln: [ln, "value"],
+  exp: [exp, "value"],
+  round: [round, "value"]
+};
+
+/*
+ * Argument checks, keyed by kind. Each receives the wrapped function and its
+ * arguments, and returns a falsy value if the arguments are valid, or the
+ * details of the first invalid value, plus a skip() function that calls the
+ * wrapped function according to the "skip" policy.
+ */
+var checks = {
+  // (...values), or (values), with an optional leading options object.
+  series(fn, ...args) {
+    var options = isOptions(args[0])
+      ? [args.shift()]
+      : [];
+
+    var values = Array.isArray(args[0]) ? args[0] : args;
+    var index = values.findIndex(isInvalid);
+
+    return index > -1 && invalid(values[index], index, () => {
+      return fn(...options, values.filter(value => !isInvalid(value)));
+    });
+  },
+
+  // (values, ...rest), where values is an Array.
+  list(fn, values, ...rest) {
+    values = Array.from(Object(values));
+
+    var index = values.findIndex(isInvalid);
+
+    return index > -1 && invalid(values[index], index, () => {
+      return fn(values.filter(value => !isInvalid(value)), ...rest);
+    });
+  },
+
+  // (xs, ys, ...rest), where xs and ys are Arrays of paired values.
+  pairs(fn, xs, ys, ...rest) {
+    xs = Array.from(Object(xs));
+    ys = Array.from(Object(ys));
+
+    var kept = xs.map((x, index) => !isInvalid(x) && !isInvalid(ys[index]));
+    var index = kept.indexOf(false);
+    var value = isInvalid(xs[index]) ? xs[index] : ys[index];
+
+    return index > -1 && invalid(value, index, () => {
+      return fn(
+        xs.filter((x, index) => kept[index]),
+        ys.filter((y, index) => kept[index]),
+        ...rest
+      );
+    });
+  },
+
+  // (a, b), where the first value is returned if either is invalid.
+  operands(fn, a, b) {
+    return isInvalid(a) && invalid(a, 0, () => a)
+      || isInvalid(b) && invalid(b, 1, () => a);
+  },
+
+  // (value, ...rest)
+  value(fn, value) {
+    return isInvalid(value) && invalid(value, 0, () => value);
+  },
+
+  // (value, places), where value must not be negative.
+  sqrt(fn, value, places) {
+    return checks.root(value => fn(value, places), value, 2);
+  },
+
+  // (value, n, places), where value must not be negative if n is even, and
+  // a negative value is skipped by returning what the function returns.
+  root(fn, value, n = 2, places) {
+    if (!isInvalid(value) && toNumber(value) < 0 && toNumber(n) % 2 === 0) {
+      return {
+        code: "NEGATIVE_ROOT",
+        message: "Negative value " + toNumber(value) + " at index 0",
+        value,
+        index: 0,
+        skip: () => fn(value, n, places)
+      }
+    }
+
+    return checks.value(fn, value);
+  },
+
+  // ({ value, exponent })
+  power(fn, param) {
+    if (param === undefined) {
+      return {
+        code: "MISSING_ARGUMENT",
+        message: "Missing argument",
+        value: param,
+        index: 0,
+        skip: () => param
+      }
+    }
+
+    var { value, exponent = 1 } = Object(param);
+
+    return isInvalid(value) && invalid(value, 0, () => value)
+      || isInvalid(exponent) && invalid(exponent, 1, () => value);
+  }
+};
+
+
+/* Helper functions */
+
+
+/**
+ * @function getValues, extracts functionally numeric values in a series,
+ * filtering out any non-numeric values, and returns numerically sorted array.
+ * 
+ * @param  {...any} values
+ * @returns {Array} numeric values
+ */
+function getValues(...values) {
+  if (Array.isArray(values[0])) {
+    values = values[0];
+  }
+
+  return values.filter(isNumeric)
+}
+
+/**
+ * @function getNumbers, extracts functionally numeric values in a series as
+ * numbers, filtering out any values that are not numeric or convert to NaN,
+ * such as "abc".
+ * 
+ * @param  {...any} values
+ * @returns {Array<number>} numbers
+ */
+function getNumbers(...values) {
+  return getValues(...values)
+    .map(value => toNumber(value))
+    .filter(number => number === number);
+}
+
+/**
+ * @function getPairs, extracts pairs of values at the same index in two
+ * series as numbers, filtering out pairs where either value is not numeric or
+ * converts to NaN, used by weightedMean and the paired series functions.
+ * 
+ * @param {Array} xs
+ * @param {Array} ys
+ * @returns {Array<Array<number>>} pairs
+ */
+function getPairs(xs, ys) {
+  return Array.from(Object(xs), (x, index) => {
+    var y = Object(ys)[index];
+
+    return isNumeric(x) && isNumeric(y)
+      ? [toNumber(x), toNumber(y)]
+      : [NaN, NaN];
+  }).filter(({ 0: x, 1: y }) => x === x && y === y);
+}
+
+/**
+ * @function squaredDeviations, returns the number of numeric values in a
+ * series and the sum of their squared deviations from the mean, used by the
+ * variance functions.
+ * 
+ * @param  {...any} values
+ * @returns {{ size: number, sum: number }}
+ */
+function squaredDeviations(...values) {
+  var numbers = getNumbers(...values);
+  var average = mean(numbers);
+
+  // The sum is NaN if the mean is infinite, as every deviation is NaN.
+  var sum = isFinite(average)
+    ? add(numbers.map(number => {
+      var deviation = minus(number, average);
+
+      return multiply(deviation, deviation);
+    }))
+    : NaN;
+
+  return { size: numbers.length, sum }
+}
+
+/**
+ * @function trim, sorts the numeric values in an Array, and returns them with
+ * the number of values to remove or replace at each end for a proportion,
+ * used by trimmedMean and winsorizedMean.
+ * 
+ * Throws a RangeError if the proportion is not at least 0 and less than 0.5.
+ * 
+ * @param {Array} values
+ * @param {number} proportion
+ * @returns {{ sorted: Array<number>, count: number }}
+ */
+function trim(values, proportion) {
+  var p = toNumber(proportion);
+
+  if (!(p >= 0 && p < 0.5)) {
+    throw new RangeError("Invalid proportion " + proportion);
+  }
+
+  var sorted = ascending(getNumbers(values));
+  var count = Math.floor(multiply(sorted.length, p));
+
+  return { sorted, count };
+}
+
+/**
+ * @function comoments, returns the number of pairs, the means of each series,
+ * and the sums of squared deviations, sxx and syy, and of the products of
+ * deviations, sxy, from the means, used by the paired series functions.
+ * 
+ * @param {Array<Array<number>>} pairs
+ * @returns {{ size: number, mx: number, my: number, sxx: number, syy: number, sxy: number }}
+ */
+function comoments(pairs) {
+  var size = pairs.length;
+  var mx = mean(pairs.map(({ 0: x }) => x));
+  var my = mean(pairs.map(({ 1: y }) => y));
+
+  // The sums are NaN if either mean is infinite.
+  if (!isFinite(mx) || !isFinite(my)) {
+    return { size, mx, my, sxx: NaN, syy: NaN, sxy: NaN };
+  }
+
+  var dx = pairs.map(({ 0: x }) => minus(x, mx));
+  var dy = pairs.map(({ 1: y }) => minus(y, my));
+
+  return {
+    size,
+    mx,
+    my,
+    sxx: add(dx.map(d => multiply(d, d))),
+    syy: add(dy.map(d => multiply(d, d))),
+    sxy: add(dx.map((d, index) => multiply(d, dy[index])))
+  };
+}
+
+/**
+ * @function rankNumbers, returns the rank of each number in an Array, from 1
+ * for the lowest, using a tie strategy supported by rank(), used by rank and
+ * correlation.
+ * 
+ * Example: given [10, 30, 20, 20] and "average", function returns
+ * [1, 4, 2.5, 2.5].
+ * 
+ * @param {Array<number>} numbers
+ * @param {string} ties
+ * @returns {Array<number>} ranks
+ */
+function rankNumbers(numbers, ties) {
+  var sorted = ascending(numbers);
+  var counts = tally(sorted);
+  var dense = new Map();
+  var seen = new Map();
+
+  // The counts are in ascending order, so number each distinct value.
+  counts.forEach((count, number) => dense.set(number, dense.size + 1));
+
+  return numbers.map(number => {
+    var low = sortedIndex(sorted, number) + 1;
+    var high = low + counts.get(number) - 1;
+    var order = seen.get(number) || 0;
+
+    seen.set(number, order + 1);
+
+    return {
+      average: () => divide(add(low, high), 2),
+      min: () => low,
+      max: () => high,
+      dense: () => dense.get(number),
+      ordinal: () => low + order
+    }[ties]();
+  });
+}
+
+/**
+ * @function tally, counts the occurrences of each number in an Array, used by
+ * mode and frequency.
+ * 
+ * @param {Array<number>} numbers
+ * @returns {Map<number, number>} counts
+ */
+function tally(numbers) {
+  return numbers.reduce((counts, number) => {
+    return counts.set(number, (counts.get(number) || 0) + 1);
+  }, new Map());
+}
+
+/**
+ * @function mostFrequent, returns the numbers with the highest count in a Map
+ * of counts from tally, in the order they were counted, used by mode and
+ * describe.
+ * 
+ * @param {Map<number, number>} counts
+ * @returns {Array<number>} modes
+ */
+function mostFrequent(counts) {
+  var most = 0;
+  var modes = [];
+
+  // Reset most to the highest count.
+  counts.forEach(count => {
+    (count > most)
+      && (most = count);
+  });
+
+  // Push values whose count matches `most` to the modes array.
+  counts.forEach((count, value) => {
+    (count === most)
+      && (modes.push(value));
+  });
+
+  return modes;
+}
+
+/**
+ * @function binByEdges, counts numbers in bins between ascending edges, used
+ * by frequency. The last bin includes its upper edge.
+ * 
+ * @param {Array<number>} numbers
+ * @param {Array} edges
+ * @returns {Array<{ from: number, to: number, count: number }>} rows
+ */
+function binByEdges(numbers, edges) {
+  var bounds = Array.from(Object(edges), edge => toNumber(edge));
+  var ascends = bounds.every((edge, index) => {
+    return isFinite(edge) && (index === 0 || edge > bounds[index - 1]);
+  });
+
+  if (bounds.length < 2 || !ascends) {
+    throw new RangeError("Invalid bin edges " + JSON.stringify(edges));
+  }
+
+  var rows = bounds.slice(1).map((to, index) => {
+    return { from: bounds[index], to, count: 0 };
+  });
+
+  numbers.forEach(number => {
+    var row = rows.find(({ from, to }, index) => {
+      return number >= from && (number < to || (number === to && index === rows.length - 1));
+    });
+
+    row && (row.count += 1);
+  });
+
+  return rows;
+}
+
+/**
+ * @function binByCount, counts numbers in a number of equal-width bins
+ * between the lowest and highest numbers, used by frequency. The last bin
+ * includes the highest number.
+ * 
+ * @param {Array<number>} numbers
+ * @param {number} bins
+ * @returns {Array<{ from: number, to: number, count: number }>} rows
+ */
+function binByCount(numbers, bins) {
+  var size = toNumber(bins);
+
+  if (!(size > 0 && Number.isInteger(size))) {
+    throw new RangeError("Invalid number of bins " + bins);
+  }
+
+  var finite = numbers.filter(isFinite);
+
+  if (!finite.length) {
+    return [];
+  }
+
+  var low = finite.reduce((a, b) => Math.min(a, b));
+  var high = finite.reduce((a, b) => Math.max(a, b));
+  var width = divide(minus(high, low), size);
+
+  var rows = Array.from({ length: size }, (row, index) => {
+    return {
+      from: add(low, multiply(index, width)),
+      to: add(low, multiply(index + 1, width)),
+      count: 0
+    };
+  });
+
+  finite.forEach(number => {
+    var index = width > 0
+      ? Math.floor(divide(minus(number, low), width))
+      : 0;
+
+    rows[Math.min(index, size - 1)].count += 1;
+  });
+
+  return rows;
+}
+
+/**
+ * @function binByWidth, counts numbers in bins of a width, aligned to
+ * multiples of the width, used by frequency.
+ * 
+ * @param {Array<number>} numbers
+ * @param {number} binWidth
+ * @returns {Array<{ from: number, to: number, count: number }>} rows
+ */
+function binByWidth(numbers, binWidth) {
+  var width = toNumber(binWidth);
+
+  if (!(width > 0 && isFinite(width))) {
+    throw new RangeError("Invalid bin width " + binWidth);
+  }
+
+  var finite = numbers.filter(isFinite);
+
+  if (!finite.length) {
+    return [];
+  }
+
+  // The position of the bin containing a number, counted from 0.
+  var position = (number) => Math.floor(divide(number, width));
+  var first = position(finite.reduce((a, b) => Math.min(a, b)));
+  var size = position(finite.reduce((a, b) => Math.max(a, b))) - first + 1;
+
+  var rows = Array.from({ length: size }, (row, index) => {
+    return {
+      from: multiply(first + index, width),
+      to: multiply(first + index + 1, width),
+      count: 0
+    };
+  });
+
+  finite.forEach(number => {
+    rows[position(number) - first].count += 1;
+  });
+
+  return rows;
+}
+
+/**
+ * @function slidingExtremes, returns the lowest or highest number in each
+ * window of a number of consecutive numbers, used by rolling min and max.
+ * 
+ * Keeps a queue of the indexes of numbers that may yet be an extreme, so that
+ * each number is added and removed once.
+ * 
+ * @param {Array<number>} numbers
+ * @param {number} size
+ * @param {function} precedes, returns whether a replaces b as the extreme
+ * @returns {Array<number>}
+ */
+function slidingExtremes(numbers, size, precedes) {
+  var queue = [];
+  var extremes = [];
+
+  numbers.forEach((number, index) => {
+    while (queue.length && precedes(number, numbers[queue[queue.length - 1]])) {
+      queue.pop();
+    }
+
+    queue.push(index);
+
+    if (queue[0] <= index - size) {
+      queue.shift();
+    }
+
+    if (index >= size - 1) {
+      extremes.push(numbers[queue[0]]);
+    }
+  });
+
+  return extremes;
+}
+
+/**
+ * @function sortedIndex, returns the index at which to insert a number into an
+ * Array of ascending numbers, or of its first occurrence, used by rolling
+ * median, rankNumbers, and percentileRank.
+ * 
+ * @param {Array<number>} sorted
+ * @param {number} number
+ * @returns {number}
+ */
+function sortedIndex(sorted, number) {
+  var low = 0;
+  var high = sorted.length;
+
+  while (low < high) {
+    var middle = (low + high) >>> 1;
+
+    sorted[middle] < number
+      ? (low = middle + 1)
+      : (high = middle);
+  }
+
+  return low;
+}
+
+/**
+ * @function isNumeric, tests whether a given value is "functionally numeric,"
+ * meaning Object(value).valueOf() returns a numeric value. Function removes
+ * any formatting from string values before testing, and returns boolean
+ * indicating the extracted value is not NaN, null, undefined, or an empty
+ * string.
+ * 
+ * @param {*} a
+ * @returns {boolean} 
+ */
+function isNumeric(a) {
+
+  /*
+   * If it's a string, remove formatting, such as group separators and
+   * whitespace. Otherwise take the value.
+   */
+
+  var v = /^string/.test(typeof a)
+    ? normalize(a)
+    : a;
+
+  /*
+   * Test and return whether value is not NaN, null, undefined, or an empty
+   * string,
+   */
+
+  var reInvalid = /^(NaN|null|undefined|)$/;
+
+  return !reInvalid.test(v);
+}
+
+/**
+ * @function hasNaN, tests whether any value in an Array, or in an Array in
+ * it, is NaN, or a functionally numeric object whose value is NaN, such as a
+ * NaN wrapper. The operators ignore NaN as non-numeric, so callers that must
+ * carry NaN through use this first.
+ * 
+ * @param {Array} values
+ * @returns {boolean}
+ */
+function hasNaN(values) {
+  return values.flat().some(value => {
+    var number = Object(value).valueOf();
+
+    return typeof number == "number" && number !== number;
+  });
+}
+
+/**
+ * @function divideNaN, divides a number by another with divide(), unless
+ * either is NaN, which divide() would ignore, so that NaN is returned, e.g.,
+ * for a sum of Infinity and -Infinity, used by mean, the variance functions,
+ * rolling, and createAccumulator.
+ * 
+ * @param {number} dividend
+ * @param {number} divisor
+ * @returns {number}
+ */
+function divideNaN(dividend, divisor) {
+  return hasNaN([dividend, divisor])
+    ? NaN
+    : divide(dividend, divisor);
+}
+
+/**
+ * @function toNumber, converts a functionally numeric value to a number,
+ * removing any formatting from string values, and converting a trailing "%"
+ * with percent().
+ * 
+ * @param {*} value
+ * @param {{ group: string, decimal: string }} separators
+ * @returns {number}
+ */
+function toNumber(value, separators = numberFormat) {
+  value = Object(value).valueOf();
+
+  // Unary plus throws a TypeError for a BigInt.
+  if (typeof value == "bigint") {
+    return Number(value)
+  }
+
+  if (typeof value != "string") {
+    return +value
+  }
+
+  var string = normalize(value, separators);
+
+  return /%$/.test(string)
+    ? percent(+string.slice(0, -1))
+    : +string;
+}
+
+/**
+ * @function percentOperation, converts two values, by default a number and a
+ * percentage, and returns the result of an operation on them, used by the
+ * percentage functions.
+ * 
+ * If either value is not functionally numeric, the first value is returned,
+ * and if either converts to NaN, NaN is returned, as the operators ignore NaN.
+ * 
+ * @param {*} first
+ * @param {*} second
+ * @param {Function} operation
+ * @param {Array<Function>} converters
+ * @returns {number}
+ */
+function percentOperation(first, second, operation, converters) {
+  var [toFirst, toSecond] = converters || [toNumber, toPercentage];
+
+  if (!isNumeric(first) || !isNumeric(second)) {
+    return first
+  }
+
+  var a = toFirst(first);
+  var b = toSecond(second);
+
+  return a !== a || b !== b
+    ? NaN
+    : operation(a, b);
+}
+
+/**
+ * @function toPercentage, converts a functionally numeric percentage to a
+ * number, where a string with a trailing "%" is the number of percent, rather
+ * than 1/100th of it, as with toNumber(), used by the percentage functions.
+ * 
+ * Example: given "15%", or 15, function returns 15.
+ * 
+ * @param {*} value
+ * @returns {number}
+ */
+function toPercentage(value) {
+  var string = Object(value).valueOf();
+
+  return typeof string == "string"
+    ? toNumber(string.replace(/%\s*$/, ""))
+    : toNumber(value);
+}
+
+/**
+ * @function normalize, removes formatting from a numeric string, so that it
+ * can be converted by the Number() function, e.g., given "€ 1.234,56" and
+ * the de-DE separators, function returns "1234.56".
+ * 
+ * Function removes whitespace, including no-break spaces, underscores,
+ * currency symbols and leading or trailing ISO 4217 currency codes, and group
+ * separators, replaces the decimal separator with a point, and replaces the
+ * Unicode minus sign with a hyphen.
+ * 
+ * @param {string} string
+ * @param {{ group: string, decimal: string }} separators
+ * @returns {string}
+ */
+function normalize(string, { group, decimal } = numberFormat) {
+  string = string
+    .replace(/^\s*[A-Z]{3}(?![A-Za-z])|[A-Z]{3}\s*$/g, '')
+    .replace(/[\s_\p{Sc}]/gu, '')
+    .split(group).join('')
+    .replace(/\u2212/g, '-');
+
+  return decimal === "."
+    ? string
+    : string.split(decimal).join('.');
+}
+
+/**
+ * @function separatorsFor, returns the group and decimal separators for a
+ * locale, given as a BCP 47 language tag, or as an object with `group` and
+ * `decimal` properties. If the locale is undefined, returns the default
+ * separators.
+ * 
+ * @param {string|{ group: string, decimal: string }} locale
+ * @returns {{ group: string, decimal: string }}
+ */
+function separatorsFor(locale) {
+  var group = ",";
+  var decimal = ".";
+
+  if (typeof locale == "string") {
+    new Intl.NumberFormat(locale).formatToParts(1234567.8).forEach(part => {
+      part.type === "group"
+        && (group = part.value);
+
+      part.type === "decimal"
+        && (decimal = part.value);
+    });
+  } else if (locale !== undefined) {
+    ({ group = group, decimal = decimal } = Object(locale));
+  }
+
+  if (group === decimal) {
+    throw new RangeError("Group and decimal separators must differ");
+  }
+
+  return { group, decimal }
+}
+
+/**
+ * @function expand, accepts two parameters, coerces them to integers, and
+ * returns an object containing the x & y integer pair, plus the exponent by
+ * which to reduce the result of an operation on them to their original decimal
+ * precision, and the number of decimal places in that exponent.
+ *  
+ * Example: given 1.23 and 1.234, function returns an object with 4 integers:
+ * 
+ *    left: 1230
+ *    right: 1234
+ *    exponent: 1000
+ *    places: 3
+ * 
+ * Values in exponent notation, such as 1.5e-7 or "2.5E+21", are expanded by
+ * shifting their decimal point, so places may be negative for large values
+ * with trailing zeros, e.g., given 1e21 and 2e21, left is 1, right is 2, and
+ * places is -21.
+ * 
+ * If either integer would exceed Number.MAX_SAFE_INTEGER, the pair cannot be
+ * expanded exactly, so x and y are returned as left and right, with places 0.
+ *
+ * Originally part of gist at
+ * https://gist.github.com/dfkaye/c2210ceb0f813dda498d22776f98d48a
+ * 
+ * @param {*} x 
+ * @param {*} y
+ * @returns {{ left: number, right: number, exponent: number, places: number }}
+ */
+function expand(x, y) {
+  // Convert strings, Booleans, and "functionally numeric" objects to numbers.
+
+  x = toNumber(x);
+  y = toNumber(y);
+
+  /*
+   * https://github.com/dfkaye/safe-math/issues/1
+   * Given very small or very large numbers, the runtime may convert the value
+   * to scientific notation. For example, 0.0000000000186264514923095703125 is
+   * converted to 1.862645149230957e-11. decompose() reads the digits and the
+   * position of the decimal point from the plain decimal string instead.
+   */
+
+  var dX = decompose(x);
+  var dY = decompose(y);
+
+  // Determine exponent based on largest mantissa length.
+
+  var c = dX.places > dY.places ? dX.places : dY.places;
+
+  /*
+   * Expand x and y to integer values by scaling their digits with exact powers
+   * of 10, rather than multiplying the values by the exponent, because, for
+   * example, .14 * 100 still produces 14.000000000000002, and 1.005 * 1000
+   * produces 1004.9999999999999.
+   */
+
+  var left = dX.integer * Math.pow(10, c - dX.places);
+  var right = dY.integer * Math.pow(10, c - dY.places);
+
+  if (!Number.isSafeInteger(left) || !Number.isSafeInteger(right)) {
+    // Non-finite, or too many digits to expand exactly.
+    return {
+      left: x,
+      right: y,
+      exponent: 1,
+      places: 0
+    }
+  }
+
+  return {
+    left,
+    right,
+    exponent: Math.pow(10, c),
+    places: c
+  }
+}
+
+/**
+ * @function decompose, splits a number into an integer of its significant
+ * digits and the number of decimal places by which to reduce that integer to
+ * the number. Places are negative for numbers with trailing zeros.
+ * 
+ * Examples: given 1.25, function returns { integer: 125, places: 2 }, given
+ * 1.5e-7, returns { integer: 15, places: 8 }, and given 1.1e21, returns
+ * { integer: 11, places: -20 }.
+ * 
+ * Non-finite numbers are returned as the integer with places 0.
+ * 
+ * @param {number} number
+ * @returns {{ integer: number, places: number }}
+ */
+function decompose(number) {
+  if (!isFinite(number)) {
+    return { integer: number, places: 0 }
+  }
+
+  var { "0": integer, "1": fraction = "" } = plain(number).split('.');
+  var digits = (integer + fraction).replace(/^(-?)0+(?=\d)/, "$1");
+  var places = fraction.length;
+
+  // Remove trailing zeros, e.g., 1200 becomes 12 with places -2.
+  while (/\d0$/.test(digits)) {
+    digits = digits.slice(0, -1);
+    places -= 1;
+  }
+
+  return { integer: +digits, places }
+}
+
+/**
+ * @function contract, the inverse of expand, reduces the integer result of an
+ * operation by a number of decimal places, and returns the nearest number to
+ * the decimal value, avoiding division by inexact powers of 10 beyond 1e22.
+ * 
+ * Example: given 3725 and 26, function returns 3.725e-23.
+ * 
+ * @param {number} integer
+ * @param {number} places
+ * @returns {number}
+ */
+function contract(integer, places) {
+  if (!isFinite(integer) || !places) {
+    return integer
+  }
+
+  return +(plain(integer) + "e" + -places);
+}
+
+/**
+ * @function plain, returns a numeric value as a decimal string without
+ * exponent notation, shifting the decimal point by the exponent.
+ * 
+ * Example: given 1.5e-7, function returns "0.00000015", and given 1e21,
+ * returns "1000000000000000000000".
+ * 
+ * @param {number|string} value
+ * @returns {string}
+ */
+function plain(value) {
+  var string = String(value);
+  var match = /^([+-]?)(\d*)(?:\.(\d*))?e([+-]?\d+)$/i.exec(string);
+
+  if (!match) {
+    return string
+  }
+
+  var sign = match[1] === "-" ? "-" : "";
+  var integer = match[2];
+  var digits = integer + (match[3] || "");
+  var point = integer.length + Number(match[4]);
+
+  if (point <= 0) {
+    string = "0." + "0".repeat(-point) + digits;
+  } else if (point >= digits.length) {
+    string = digits + "0".repeat(point - digits.length);
+  } else {
+    string = digits.slice(0, point) + "." + digits.slice(point);
+  }
+
+  // Remove redundant leading zeros, e.g., "05.5" becomes "5.5".
+  return sign + string.replace(/^0+(?=\d)/, "");
+}
+
+/**
+ * @function roundDecimal, rounds a plain decimal string to a number of
+ * decimal places using a mode from the roundingModes map, and returns the
+ * result as a number.
+ * 
+ * The sticky flag indicates that non-zero digits follow the end of the string,
+ * as in a truncated non-terminating quotient.
+ * 
+ * @param {string} string
+ * @param {number} places
+ * @param {string} mode
+ * @param {boolean} sticky
+ * @returns {number}
+ */
+function roundDecimal(string, places, mode, sticky) {
+  var negative = string[0] === "-";
+  var { "0": integer, "1": fraction = "" } = string.replace(/^[+-]/, "").split(".");
+  var kept = fraction.slice(0, places);
+  var discarded = fraction.slice(places);
+  var digit = +(discarded[0] || 0);
+  var tail = sticky || /[1-9]/.test(discarded.slice(1));
+  var odd = (integer + kept).slice(-1) % 2 === 1;
+  var result = +(integer + "." + kept);
+
+  if (roundingModes[mode](digit, tail, odd, negative)) {
+    // Add one unit in the last kept place.
+    result = add(result, "1e-" + places);
+  }
+
+  // Avoid returning -0.
+  return negative && result
+    ? -result
+    : result;
+}
+
+/**
+ * @function powerInteger, raises a finite, non-zero number to an integer
+ * power by squaring, used by power.
+ * 
+ * The digits of the number are held in a BigInt, with the decimal exponent
+ * tracked separately, so that each product is exact until it exceeds 40
+ * significant digits, when it is rounded, which is far more than a Number
+ * holds, before the result is converted to the nearest Number.
+ * 
+ * Example: 1.1 is { integer: 11n, exponent: -1 }, and its square is
+ * { integer: 121n, exponent: -2 }, or 1.21.
+ * 
+ * @param {number} number
+ * @param {number} power
+ * @returns {number}
+ */
+function powerInteger(number, power) {
+  var digits = 40;
+  var { integer, scale } = toScaled(Math.abs(number));
+
+  function product(a, b) {
+    var integer = a.integer * b.integer;
+    var exponent = a.exponent + b.exponent;
+    var excess = integer.toString().length - digits;
+
+    // Round half-up to the number of digits.
+    if (excess > 0) {
+      var divisor = 10n ** BigInt(excess);
+
+      integer = (integer + divisor / 2n) / divisor;
+      exponent += excess;
+    }
+
+    return { integer, exponent };
+  }
+
+  var base = { integer, exponent: -scale };
+  var result = { integer: 1n, exponent: 0 };
 
+  for (var n = Math.abs(power); n > 0; n = Math.floor(n / 2)) {
+    if (n % 2) {
+      result = product(result, base);
+    }
 
-/* Helper functions */
+    if (n > 1) {
+      base = product(base, base);
+    }
+  }
+
+  // For a negative power, divide 1 by the result at twice the digits.
+  if (power < 0) {
+    var unit = 10n ** BigInt(digits * 2);
+
+    result = {
+      integer: (unit + result.integer / 2n) / result.integer,
+      exponent: -(digits * 2) - result.exponent
+    };
+  }
 
+  /*
+   * 19 October 2026: Past the range of a Number, return Infinity or 0, as an
+   * exponent of 1e21 or more is written "1e+21", which does not parse, e.g.,
+   * for 2 to the 1e22.
+   */
+
+  var size = result.exponent + String(result.integer).length;
+  var magnitude = size > 400
+    ? Infinity
+    : size < -400
+      ? 0
+      : +(result.integer + "e" + result.exponent);
+
+  // An odd power of a negative number is negative.
+  return number < 0 && Math.abs(power) % 2
+    ? -magnitude
+    : magnitude;
+}
 
 /**
- * @function getValues, extracts functionally numeric values in a series,
- * filtering out any non-numeric values, and returns numerically sorted array.
+ * @function toFraction, returns the numerator and denominator of the ratio of
+ * small integers, up to 1000, that a positive number is nearest to, or null,
+ * used by power.
  * 
- * @param  {...any} values
- * @returns {Array} numeric values
+ * Example: given 1.5, function returns { numerator: 3, denominator: 2 }, and
+ * given 1 / 3, returns { numerator: 1, denominator: 3 }.
+ * 
+ * @param {number} number
+ * @returns {{ numerator: number, denominator: number }|null}
  */
-function getValues(...values) {
-  if (Array.isArray(values[0])) {
-    values = values[0];
+function toFraction(number) {
+
+  /*
+   * Find the convergents of the continued fraction of the number until one
+   * equals the number, as a Number, or its terms exceed 1000.
+   */
+
+  var rest = number;
+  var h = [0, 1];
+  var k = [1, 0];
+
+  for (var term = 0; term < 32; term++) {
+    var whole = Math.floor(rest);
+    var numerator = whole * h[1] + h[0];
+    var denominator = whole * k[1] + k[0];
+
+    if (numerator > 1000 || denominator > 1000) {
+      return null;
+    }
+
+    if (numerator / denominator === number) {
+      return { numerator, denominator };
+    }
+
+    h = [h[1], numerator];
+    k = [k[1], denominator];
+    rest = 1 / (rest - whole);
+
+    if (!isFinite(rest)) {
+      return null;
+    }
   }
 
-  return values.filter(isNumeric)
+  return null;
 }
 
 /**
- * @function isNumeric, tests whether a given value is "functionally numeric,"
- * meaning Object(value).valueOf() returns a numeric value. Function removes
- * any formatting commas from string values before testing, and returns boolean
- * indicating the extracted value is not NaN, null, undefined, or an empty
- * string.
+ * @function powerScaled, raises a number to a ratio of integers, p / q, with
+ * BigInt scaled integers, used by power.
  * 
- * @param {*} a
- * @returns {boolean} 
+ * Returns the exact result, or if places is provided, the result rounded to
+ * that many places. Otherwise returns undefined if the qth root is not exact,
+ * or null if the number has no scaled integer, such as Infinity, or has too
+ * many digits to raise to the numerator.
+ * 
+ * @param {number} number
+ * @param {{ numerator: number, denominator: number }} ratio
+ * @param {boolean} inverse, true for a negative exponent
+ * @param {number} places
+ * @returns {number|undefined|null}
  */
-function isNumeric(a) {
+function powerScaled(number, { numerator, denominator }, inverse, places) {
+  // Even roots of negative numbers are not real.
+  if (number < 0 && denominator % 2 === 0) {
+    return NaN;
+  }
+
+  var scaled = toScaled(Math.abs(number));
+
+  if (!scaled) {
+    return null;
+  }
 
   /*
-   * If it's a string, remove commas and trim it.
-   * Otherwise take the value.
+   * Bound the work: the raised integer has about numerator times as many
+   * digits as the number, and the root is taken of at least denominator
+   * times as many digits as the places. Past 25000 digits, e.g., for 1e200 to
+   * the power 0.999, or 999 / 1000, return null, to use Math.pow instead.
    */
 
-  var v = /^string/.test(typeof a)
-    ? a.replace(/[,]/g, '').trim()
-    : a;
+  var size = Math.max(
+    scaled.integer.toString().length * numerator,
+    ((places || 0) + 1) * denominator
+  );
+
+  if (size > 25000) {
+    return null;
+  }
+
+  var raised = {
+    integer: scaled.integer ** BigInt(numerator),
+    scale: scaled.scale * numerator
+  };
+
+  // Keep more places when taking the reciprocal of the root below.
+  var result = rootScaled(raised, denominator, inverse && places !== undefined
+    ? places + 20
+    : places
+  );
+
+  if (result === undefined || result === null) {
+    return result;
+  }
+
+  if (inverse) {
+    result = places === undefined
+      ? divide(1, result)
+      : divide({ scale: places }, 1, result);
+  }
+
+  // An odd power of a negative number is negative.
+  return number < 0 && numerator % 2
+    ? -result
+    : result;
+}
+
+/**
+ * @function rootScaled, calculates the nth root of a scaled integer, used by
+ * root and power.
+ * 
+ * Returns the exact root, or if places is provided, the root rounded half-up
+ * to that many places, otherwise undefined if the root is not exact. Returns
+ * null if the scaled radicand would have more than 25000 digits, as in
+ * powerScaled, e.g., for the square root of 2 to 300000 places.
+ * 
+ * @param {{ integer: bigint, scale: number }} scaled
+ * @param {number} n
+ * @param {number} places
+ * @returns {number|undefined|null}
+ */
+function rootScaled({ integer, scale }, n, places) {
 
   /*
-   * Test and return whether value is not NaN, null, undefined, or an empty
-   * string,
+   * Scale the integer by a power of 10, so that its scale is a multiple of n,
+   * and its root has at least one more digit than the places to round to.
    */
 
-  var reInvalid = /^(NaN|null|undefined|)$/;
+  var digits = Math.ceil(scale / n);
 
-  return !reInvalid.test(v);
+  if (places !== undefined) {
+    digits = Math.max(digits, places + 1);
+  }
+
+  var shift = digits * n - scale;
+
+  if (String(integer).length + shift > 25000) {
+    return null;
+  }
+
+  var radicand = integer * 10n ** BigInt(shift);
+  var rooted = integerRoot(radicand, n);
+  var exact = rooted ** BigInt(n) === radicand;
+  var string = fromScaled({ integer: rooted, scale: digits });
+
+  if (places === undefined) {
+    return exact
+      ? +string
+      : undefined;
+  }
+
+  return roundDecimal(string, places, "half-up", !exact);
 }
 
 /**
- * @function expand, accepts two parameters, coerces them to integers, and
- * returns an object containing the x & y integer pair, plus the exponent by
- * which to reduce the result of an operation on them to their original decimal
- * precision.
- *  
- * Example: given 1.23 and 1.234, function returns an object with 3 integers:
+ * @function integerRoot, returns the integer part of the nth root of a
+ * non-negative BigInt integer, using Newton's method, used by rootScaled.
  * 
- *    left: 1230
- *    right: 1234
- *    exponent: 1000
- *
- * Originally part of gist at
- * https://gist.github.com/dfkaye/c2210ceb0f813dda498d22776f98d48a
+ * @param {bigint} integer
+ * @param {number} n
+ * @returns {bigint}
+ */
+function integerRoot(integer, n) {
+  if (integer < 2n) {
+    return integer;
+  }
+
+  var degree = BigInt(n);
+
+  // Start above the root, so that each step decreases toward it.
+  var x = 1n << BigInt(Math.ceil(integer.toString(2).length / n));
+
+  while (true) {
+    var y = ((degree - 1n) * x + integer / x ** (degree - 1n)) / degree;
+
+    if (y >= x) {
+      return x;
+    }
+
+    x = y;
+  }
+}
+
+/**
+ * @function isOptions, tests whether a value is an options object for
+ * divide(), meaning a non-Array object with a scale, rounding, or repeating
+ * property.
  * 
- * @param {*} x 
- * @param {*} y
- * @returns {{ x: number, y: number, exponent: number }}
+ * @param {*} value
+ * @returns {boolean}
  */
-function expand(x, y) {
-  // Object(value).valueOf() trick for "functionally numeric" objects.
+function isOptions(value) {
+  return Object(value) === value
+    && !Array.isArray(value)
+    && ("scale" in value || "rounding" in value || "repeating" in value);
+}
+
+/**
+ * @function divideExactly, divides a dividend by the product of the divisors
+ * using long division on their expanded integers, and returns the quotient
+ * either rounded to the options' scale, or as a string with its repeating
+ * period in parentheses.
+ * 
+ * @param {*} dividend
+ * @param {Array} divisors
+ * @param {{ scale: number, rounding: string, repeating: boolean }} options
+ * @returns {number|string} quotient
+ */
+function divideExactly(dividend, divisors, options) {
+  var { scale = 0, rounding = "half-up", repeating = false } = options;
+
+  if (!Object.prototype.hasOwnProperty.call(roundingModes, rounding)) {
+    throw new RangeError("Invalid rounding mode \"" + rounding + "\"");
+  }
 
-  x = Object(x).valueOf();
-  y = Object(y).valueOf();
+  /*
+   * Clamp the scale: no digit past 1100 places can change the nearest Number,
+   * and at -400, past the largest Number, any safe integer quotient rounds to
+   * 0 or to 1 unit in that place, as it does at any lower scale.
+   */
+  scale = Math.min(Math.max(Math.trunc(scale) || 0, -400), 1100);
 
-  // Format strings and convert into numbers.
+  if (dividend === undefined) {
+    return dividend
+  }
 
-  var reCommas = /[\,]/g
+  var { left, right } = expand(dividend, multiply(divisors));
 
-  if (typeof x == "string") {
-    x = +x.toString().replace(reCommas, '');
+  /*
+   * Fall back to the binary quotient for zero, Infinity, or NaN operands, or
+   * operands with too many digits to expand exactly.
+   */
+  if (!right || !Number.isSafeInteger(left) || !Number.isSafeInteger(right)) {
+    return repeating
+      ? plain(left / right)
+      : round(left / right, scale, rounding);
   }
 
-  if (typeof y == "string") {
-    y = +y.toString().replace(reCommas, '');
+  var negative = left !== 0 && (left < 0) !== (right < 0);
+  var a = BigInt(Math.abs(left));
+  var b = BigInt(Math.abs(right));
+
+  /*
+   * For a negative scale, divide by the power of 10 as well, and round to an
+   * integer, so that, e.g., 123456 at scale -2 is 1234.56 rounded to 1235,
+   * or 123500.
+   */
+  var shift = !repeating && scale < 0
+    ? -scale
+    : 0;
+
+  if (shift) {
+    b *= 10n ** BigInt(shift);
+    scale = 0;
   }
 
-  // https://github.com/dfkaye/safe-math/issues/1
-  // Special case: Given very small numbers, the runtime may convert the value
-  // to scientific notation. For example, 0.0000000000186264514923095703125 is 
-  // converted to 1.862645149230957e-11. In that case we set left and right to
-  // x and y respectively, and set d the exponent to 1, and return early.
+  // Divide in BigInt, so that remainder * 10 is exact for large divisors.
+  var remainder = a % b;
+  var integer = a / b;
+  var digits = "";
+  var seen = {};
 
-  var sX = x.toString()
-  var sY = y.toString()
-  var mX = sX.split('.')[1] || ""
-  var mY = sY.split('.')[1] || ""
-  var dX = mX.split('e-')
-  var dY = mY.split('e-')
+  /*
+   * Long division: collect one fraction digit per step. With repeating,
+   * record the position where each remainder first occurs; when a remainder
+   * recurs, the digits since its first occurrence repeat forever.
+   */
 
-  if (dX[1] || dY[1]) {
-    return {
-      left: x,
-      right: y,
-      exponent: 1
+  while (remainder && digits.length < (repeating ? 1000 : scale + 1)) {
+    if (repeating && remainder in seen) {
+      break;
     }
+
+    seen[remainder] = digits.length;
+    remainder *= 10n;
+
+    var digit = remainder / b;
+
+    digits += digit;
+    remainder -= digit * b;
+  }
+
+  var sign = negative ? "-" : "";
+
+  if (!repeating) {
+    var quotient = roundDecimal(sign + integer + "." + digits, scale, rounding, remainder !== 0n);
+
+    // Avoid multiplying 0 by Infinity for a power of 10 past the largest Number.
+    return shift && quotient
+      ? multiply(quotient, Math.pow(10, shift))
+      : quotient;
+  }
+
+  if (remainder in seen) {
+    var start = seen[remainder];
+
+    digits = digits.slice(0, start) + "(" + digits.slice(start) + ")";
+  } else if (remainder) {
+    digits += "...";
+  }
+
+  return sign + integer + (digits ? "." + digits : "");
+}
+
+/**
+ * @function toScaled, converts a functionally numeric value to a BigInt
+ * integer of its digits and the number of decimal places by which to reduce
+ * it, or null if the value is not a finite decimal.
+ * 
+ * Example: given "-1,234.50", function returns { integer: -123450n, scale: 2 },
+ * and given "12.5%", returns { integer: 125n, scale: 3 }.
+ * 
+ * @param {*} value
+ * @returns {{ integer: bigint, scale: number }|null}
+ */
+function toScaled(value) {
+  value = Object(value).valueOf();
+
+  if (typeof value == "bigint") {
+    return { integer: value, scale: 0 }
+  }
+
+  var string = typeof value == "string"
+    ? normalize(value)
+    : String(+value);
+
+  // A trailing "%" divides by 100, exactly, by adding 2 to the scale.
+  var percentage = /%$/.test(string) ? 2 : 0;
+
+  var match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(plain(string.replace(/%$/, '')));
+
+  if (!match || !(match[2] || match[3])) {
+    return null
+  }
+
+  var fraction = match[3] || "";
+  var integer = BigInt(match[2] + fraction || 0);
+
+  return {
+    integer: match[1] === "-" ? -integer : integer,
+    scale: fraction.length + percentage
+  }
+}
+
+/**
+ * @function fromScaled, the inverse of toScaled, returns the decimal string
+ * for a BigInt integer and scale, without trailing fraction zeros. A negative
+ * scale multiplies the integer by a power of 10.
+ * 
+ * @param {{ integer: bigint, scale: number }} scaled
+ * @returns {string}
+ */
+function fromScaled({ integer, scale }) {
+  // A negative scale, as from rounding to tens or hundreds, appends zeros.
+  if (scale < 0) {
+    return fromScaled({ integer: integer * 10n ** BigInt(-scale), scale: 0 });
+  }
+
+  var sign = integer < 0n ? "-" : "";
+  var digits = (integer < 0n ? -integer : integer).toString().padStart(scale + 1, "0");
+  var point = digits.length - scale;
+  var fraction = digits.slice(point).replace(/0+$/, "");
+
+  return sign + digits.slice(0, point) + (fraction ? "." + fraction : "");
+}
+
+/**
+ * @function align, the BigInt counterpart of expand, scales two scaled
+ * integers to the larger of their scales.
+ * 
+ * @param {{ integer: bigint, scale: number }} x
+ * @param {{ integer: bigint, scale: number }} y
+ * @returns {{ left: bigint, right: bigint, scale: number }}
+ */
+function align(x, y) {
+  var scale = x.scale > y.scale ? x.scale : y.scale;
+
+  return {
+    left: x.integer * 10n ** BigInt(scale - x.scale),
+    right: y.integer * 10n ** BigInt(scale - y.scale),
+    scale
   }
+}
 
-  // Main case: determine exponent based on largest mantissa length.
+/**
+ * @function addScaled, returns the sum of two scaled integers, at the larger
+ * of their scales.
+ * 
+ * @param {{ integer: bigint, scale: number }} augend
+ * @param {{ integer: bigint, scale: number }} addend
+ * @returns {{ integer: bigint, scale: number }}
+ */
+function addScaled(augend, addend) {
+  var { left, right, scale } = align(augend, addend);
+
+  return { integer: left + right, scale };
+}
+
+/**
+ * @function multiplyScaled, returns the product of two scaled integers, at the
+ * sum of their scales.
+ * 
+ * @param {{ integer: bigint, scale: number }} multiplicand
+ * @param {{ integer: bigint, scale: number }} multiplier
+ * @returns {{ integer: bigint, scale: number }}
+ */
+function multiplyScaled(multiplicand, multiplier) {
+  return {
+    integer: multiplicand.integer * multiplier.integer,
+    scale: multiplicand.scale + multiplier.scale
+  };
+}
 
-  var a = mX.length
-  var b = mY.length
-  var c = a > b ? a : b
-  var d = Math.pow(10, c)
+/**
+ * @function divideScaled, divides two scaled integers and returns the
+ * quotient as a decimal string, rounded to a number of decimal places using a
+ * mode from the roundingModes map.
+ * 
+ * Division by zero returns "Infinity", "-Infinity", or "NaN", as with Numbers.
+ * 
+ * @param {{ integer: bigint, scale: number }} dividend
+ * @param {{ integer: bigint, scale: number }} divisor
+ * @param {number} places
+ * @param {string} mode
+ * @returns {string}
+ */
+function divideScaled(dividend, divisor, places, mode) {
+  if (divisor.integer === 0n) {
+    return String(Number(dividend.integer) / 0);
+  }
 
   /*
-   * Expand x and y to integer values multiplying by exponent, converting
-   * non-numeric values to their numeric equivalent, AND passing conversions to
-   * the parseInt() function.
-   * 
-   * Some examples:
-   *  {} becomes NaN,
-   *  true becomes 1,
-   *  [4] becomes '4' which becomes 4,
-   * and so on. 
-   * 
-   * Why parseInt()?
-   *  Because, for example, .14 * 100 still produces 14.000000000000002.
-   * 
-   * Why the self equality checks?
-   *  Those are !NaN checks. parseInt(Infinity) returns NaN
+   * The quotient (a / 10^sa) / (b / 10^sb) at a number of places is the
+   * integer quotient of a * 10^(sb + places) and b * 10^sa.
    */
 
-  var left = parseInt(x * d);
-  var right = parseInt(y * d);
+  var shift = divisor.scale + places - dividend.scale;
+  var numerator = dividend.integer * 10n ** BigInt(shift > 0 ? shift : 0);
+  var denominator = divisor.integer * 10n ** BigInt(shift < 0 ? -shift : 0);
+
+  var negative = (numerator < 0n) !== (denominator < 0n);
+  var n = numerator < 0n ? -numerator : numerator;
+  var d = denominator < 0n ? -denominator : denominator;
+  var quotient = n / d;
+  var remainder = n % d;
+
+  // The first discarded digit, and whether any discarded digit follows it.
+  var digit = Number(remainder * 10n / d);
+  var tail = remainder * 10n % d !== 0n;
+  var odd = quotient % 2n === 1n;
+
+  if (roundingModes[mode](digit, tail, odd, negative)) {
+    quotient += 1n;
+  }
+
+  return fromScaled({ integer: negative ? -quotient : quotient, scale: places });
+}
+
+/**
+ * @function isInvalid, tests whether a value is not functionally numeric, or
+ * parses to NaN, as "abc" and {} do.
+ * 
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isInvalid(value) {
+  var number = parse(value);
+
+  return number !== number;
+}
+
+/**
+ * @function invalid, returns the details of an invalid value for a
+ * SafeMathError, with a skip() function.
+ * 
+ * @param {*} value
+ * @param {number} index
+ * @param {Function} skip
+ * @returns {{ code: string, message: string, value: *, index: number, skip: Function }}
+ */
+function invalid(value, index, skip) {
+  var label = typeof value == "string"
+    ? JSON.stringify(value)
+    : String(value);
 
   return {
-    left: left === left ? left : x * d,
-    right: right === right ? right : y * d,
-    exponent: d
+    code: "INVALID_VALUE",
+    message: "Invalid value " + label + " at index " + index,
+    value,
+    index,
+    skip
   }
 }
 
+
 /**
  * @function ascending returns a copy of given values sorted in ascending
- * numeric order.
+ * numeric order, comparing Strings, Booleans, and functionally numeric values
+ * by their numeric values, so that "9" sorts before "10".
  * 
  * @param  {...any} values 
  * @returns {Array} sorted values
  */
 function ascending(values) {
-  return values.sort((a, b) => {
+  return values.slice().sort((a, b) => {
+    a = toNumber(a);
+    b = toNumber(b);
+
     if (a < b) {
       return -1
     }
@@ -529,3 +4325,129 @@ function ascending(values) {
     return 0;
   });
 }
+
+/**
+ * @function medianSorted, returns the middle value of numbers already sorted
+ * in ascending order, or the mean of the two middle values if there is an
+ * even number of them, used by median and describe. If there are no numbers,
+ * 0 is returned.
+ * 
+ * @param {Array<number>} sorted
+ * @returns {number}
+ */
+function medianSorted(sorted) {
+  if (!sorted.length) {
+    return 0;
+  }
+
+  var floor = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2
+    ? sorted[floor]
+    : mean(sorted[floor - 1], sorted[floor]);
+}
+
+/**
+ * @function quantileSorted, calculates a quantile of numbers already sorted
+ * in ascending order, using a method from the quantileMethods map.
+ * 
+ * @param {Array<number>} sorted
+ * @param {number} p
+ * @param {number} method
+ * @returns {number}
+ */
+function quantileSorted(sorted, p, method) {
+  var n = sorted.length;
+  var { m, gamma = (g) => g } = quantileMethods[method](p);
+
+  // Position h = n * p + m, with integer part j and fractional part g.
+  var h = add(multiply(n, p), m);
+  var j = Math.floor(h);
+  var g = minus(h, j);
+  var weight = gamma(g, j);
+
+  // Clamp 1-based positions to the first and last values.
+  var below = sorted[Math.min(Math.max(j, 1), n) - 1];
+  var above = sorted[Math.min(Math.max(j + 1, 1), n) - 1];
+
+  if (weight === 0 || below === above) {
+    return below;
+  }
+
+  if (weight === 1) {
+    return above;
+  }
+
+  return add(below, multiply(weight, minus(above, below)));
+}
+
+/**
+ * @function tokenize, splits an expression into number, name, and punctuator
+ * tokens, recording each token's 1-based column for error reporting. Throws
+ * a SyntaxError on an unrecognized character.
+ * 
+ * @param {string} expression
+ * @returns {Array<{ type: string, value: string, column: number }>} tokens
+ */
+function tokenize(expression) {
+  var reToken = /\s*(?:((?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)|([A-Za-z_$][\w$]*)|([-+*/^%(),]))/y;
+  var tokens = [];
+  var match;
+
+  while (reToken.lastIndex < expression.length) {
+    var start = reToken.lastIndex;
+
+    match = reToken.exec(expression);
+
+    if (!match) {
+      // Skip leading whitespace so the column points at the bad character.
+      var column = start + expression.slice(start).search(/\S/) + 1;
+
+      if (column > start) {
+        fail(SyntaxError, "Unexpected character \"" + expression[column - 1] + "\"", { column });
+      }
+
+      break;
+    }
+
+    var value = match[1] || match[2] || match[3];
+    var type = match[1]
+      ? "number"
+      : match[2]
+        ? "name"
+        : "punctuator";
+
+    tokens.push({ type, value, column: match.index + match[0].length - value.length + 1 });
+  }
+
+  return tokens;
+}
+
+/**
+ * @function tokenName, returns a token's value for an error message, or "end
+ * of expression" if there is no token.
+ * 
+ * @param {{ value: string }} token
+ * @returns {string}
+ */
+function tokenName(token) {
+  return token.value === undefined
+    ? "end of expression"
+    : "\"" + token.value + "\"";
+}
+
+/**
+ * @function fail, throws an error of the given type, with the token's column
+ * appended to the message and assigned to a `column` property.
+ * 
+ * @param {Function} Type, e.g., SyntaxError
+ * @param {string} message
+ * @param {{ column: number }} token
+ */
+function fail(Type, message, token) {
+  var error = new Type(message + " at column " + token.column);
+
+  error.column = token.column;
+
+  throw error;
+}
@@ -0,0 +1,126 @@
+import { createAccumulator, variance } from "../safe-math.js";
+
+describe("Accumulator", function () {
+
+  var { expect } = chai;
+
+  describe("createAccumulator", function () {
+    it("returns 0 for every statistic if no values added", () => {
+      var accumulator = createAccumulator();
+
+      expect(accumulator.count).to.equal(0);
+      expect(accumulator.sum).to.equal(0);
+      expect(accumulator.min).to.equal(0);
+      expect(accumulator.max).to.equal(0);
+      expect(accumulator.mean).to.equal(0);
+      expect(accumulator.variance).to.equal(0);
+      expect(accumulator.range).to.equal(0);
+    });
+
+    it("adds values one at a time with push(), and returns the accumulator", () => {
+      var accumulator = createAccumulator();
+
+      expect(accumulator.push(0.1).push(0.2)).to.equal(accumulator);
+      expect(accumulator.sum).to.equal(0.3);
+    });
+
+    it("adds values from any iterable with pushAll()", () => {
+      function* values() {
+        yield 2; yield 4; yield 4; yield 4;
+      }
+
+      var accumulator = createAccumulator()
+        .pushAll(values())
+        .pushAll(new Set([5, 7, 9]))
+        .pushAll([5]);
+
+      expect(accumulator.count).to.equal(8);
+      expect(accumulator.sum).to.equal(40);
+      expect(accumulator.min).to.equal(2);
+      expect(accumulator.max).to.equal(9);
+      expect(accumulator.range).to.equal(7);
+      expect(accumulator.mean).to.equal(5);
+      expect(accumulator.variance).to.equal(4.571428571428571);
+      expect(accumulator.stdev).to.equal(2.138089935299395);
+      expect(accumulator.pvariance).to.equal(4);
+      expect(accumulator.pstdev).to.equal(2);
+    });
+
+    it("ignores functionally non-numeric values", () => {
+      var accumulator = createAccumulator()
+        .pushAll([NaN, 1, null, "2", undefined, 3, '', "abc", {}]);
+
+      expect(accumulator.count).to.equal(3);
+      expect(accumulator.sum).to.equal(6);
+      expect(accumulator.variance).to.equal(1);
+    });
+
+    it("handles decimal values", () => {
+      var accumulator = createAccumulator().pushAll([0.1, 0.2, 0.3]);
+
+      // 0.1 + 0.2 + 0.3 returns 0.6000000000000001
+      expect(accumulator.sum).to.equal(0.6);
+      expect(accumulator.mean).to.equal(0.2);
+      expect(accumulator.variance).to.equal(0.01);
+      expect(accumulator.range).to.equal(0.2);
+    });
+
+    it("does not lose the variance of large values close together", () => {
+      var values = [1e9 + 0.1, 1e9 + 0.2, 1e9 + 0.3];
+      var accumulator = createAccumulator().pushAll(values);
+
+      expect(accumulator.variance).to.equal(variance(values));
+    });
+
+    it("returns NaN statistics that are not defined for infinite values", () => {
+      var accumulator = createAccumulator().pushAll([1, Infinity]);
+
+      expect(accumulator.mean).to.equal(Infinity);
+      expect(accumulator.variance).to.be.NaN;
+      expect(accumulator.pvariance).to.be.NaN;
+      expect(accumulator.stdev).to.be.NaN;
+
+      expect(createAccumulator().pushAll([Infinity, -Infinity]).mean).to.be.NaN;
+    });
+  });
+
+  describe("merge", function () {
+    it("combines statistics of accumulators for separate chunks", () => {
+      var left = createAccumulator().pushAll([2, 4, 4, 4]);
+      var right = createAccumulator().pushAll([5, 5, 7, 9]);
+
+      expect(left.merge(right)).to.equal(left);
+      expect(left.count).to.equal(8);
+      expect(left.min).to.equal(2);
+      expect(left.max).to.equal(9);
+      expect(left.mean).to.equal(5);
+      expect(left.variance).to.equal(4.571428571428571);
+      expect(left.pvariance).to.equal(4);
+    });
+
+    it("combines statistics from a toJSON() object", () => {
+      var state = JSON.parse(JSON.stringify(createAccumulator().pushAll([0.3])));
+      var accumulator = createAccumulator().pushAll([0.1, 0.2]).merge(state);
+
+      expect(state).to.deep.equal({ count: 1, sum: 0.3, min: 0.3, max: 0.3, m2: 0 });
+      expect(accumulator.sum).to.equal(0.6);
+      expect(accumulator.variance).to.equal(0.01);
+    });
+
+    it("merges into an empty accumulator, which can then accept more values", () => {
+      var accumulator = createAccumulator()
+        .merge(createAccumulator().pushAll([2, 4, 4, 4, 5, 5, 7]))
+        .push(9);
+
+      expect(accumulator.count).to.equal(8);
+      expect(accumulator.min).to.equal(2);
+      expect(accumulator.pvariance).to.equal(4);
+    });
+
+    it("ignores an empty accumulator", () => {
+      var accumulator = createAccumulator().pushAll([1, 2]).merge(createAccumulator());
+
+      expect(accumulator.toJSON()).to.deep.equal({ count: 2, sum: 3, min: 1, max: 2, m2: 0.5 });
+    });
+  });
+});
@@ -11,4 +11,13 @@
 
 import "./operators.js"
 import "./series.js"
+import "./windows.js"
 import "./conversions.js"
+import "./wrapper.js"
+import "./accumulator.js"
+import "./expressions.js"
+import "./decimal.js"
+import "./parsing.js"
+import "./factory.js"
+import "./money.js"
+import "./units.js"
@@ -1,4 +1,7 @@
-import { percent, power, reciprocal, square, sqrt } from "../safe-math.js";
+import {
+  percent, percentOf, addPercent, subtractPercent, reversePercent,
+  percentagePoints, basisPoints, perMille, power, reciprocal, square, sqrt, root, log, log10, log2, ln, exp, round
+} from "../safe-math.js";
 
 describe("Conversions", function () {
 
@@ -67,6 +70,166 @@ describe("Conversions", function () {
     });
   });
 
+  describe("percentOf", function () {
+    it("returns a part as a percentage of a whole", () => {
+      expect(percentOf(30, 120)).to.equal(25);
+      expect(percentOf(1, 8)).to.equal(12.5);
+      expect(percentOf(0.3, 0.6)).to.equal(50);
+      expect(percentOf(150, 100)).to.equal(150);
+    });
+
+    it("handles strings and functionally numeric objects", () => {
+      expect(percentOf("1,000", "8,000")).to.equal(12.5);
+      expect(percentOf(new Number(3), { valueOf() { return 12 } })).to.equal(25);
+    });
+
+    it("returns Infinity for a whole of 0", () => {
+      expect(percentOf(1, 0)).to.equal(Infinity);
+    });
+
+    it("returns a non-numeric part unchanged", () => {
+      expect(percentOf(null, 10)).to.be.null;
+      expect(percentOf(undefined, 10)).to.be.undefined;
+      expect(percentOf(5, null)).to.equal(5);
+    });
+
+    it("returns NaN for values that parse to NaN", () => {
+      expect(percentOf("abc", 10)).to.be.NaN;
+      expect(percentOf(10, {})).to.be.NaN;
+    });
+  });
+
+  describe("addPercent", function () {
+    it("returns a value increased by a percentage", () => {
+      expect(addPercent(19.99, 15)).to.equal(22.9885);
+      expect(addPercent(100, 7.5)).to.equal(107.5);
+      expect(addPercent(0.1, 0.2)).to.equal(0.1002);
+      expect(addPercent(100, 0)).to.equal(100);
+    });
+
+    it("handles a negative percentage", () => {
+      expect(addPercent(200, -25)).to.equal(150);
+    });
+
+    it("handles percentage strings and functionally numeric objects", () => {
+      expect(addPercent("1,000", "15%")).to.equal(1150);
+      expect(addPercent(new Number(40), { valueOf() { return "10" } })).to.equal(44);
+    });
+
+    it("returns a non-numeric value unchanged", () => {
+      expect(addPercent(null, 5)).to.be.null;
+      expect(addPercent(5, undefined)).to.equal(5);
+    });
+
+    it("returns NaN for values that parse to NaN", () => {
+      expect(addPercent(100, "x")).to.be.NaN;
+    });
+  });
+
+  describe("subtractPercent", function () {
+    it("returns a value decreased by a percentage", () => {
+      expect(subtractPercent(19.99, 15)).to.equal(16.9915);
+      expect(subtractPercent(80, 12.5)).to.equal(70);
+      expect(subtractPercent(100, 100)).to.equal(0);
+    });
+
+    it("handles percentage strings and functionally numeric objects", () => {
+      expect(subtractPercent("19.99", "15%")).to.equal(16.9915);
+      expect(subtractPercent(new Number(50), new String("20"))).to.equal(40);
+    });
+
+    it("returns a non-numeric value unchanged", () => {
+      expect(subtractPercent(undefined, 5)).to.be.undefined;
+    });
+
+    it("returns NaN for values that parse to NaN", () => {
+      expect(subtractPercent("abc", 5)).to.be.NaN;
+    });
+  });
+
+  describe("reversePercent", function () {
+    it("returns the value before a percentage was added", () => {
+      expect(reversePercent(22.9885, 15)).to.equal(19.99);
+      expect(reversePercent(115, 15)).to.equal(100);
+      expect(reversePercent(1.19, 19)).to.equal(1);
+    });
+
+    it("reverses addPercent", () => {
+      [[0.1, 0.2], [19.99, 20], [1234.56, 7.25]].forEach(([value, pct]) => {
+        expect(reversePercent(addPercent(value, pct), pct)).to.equal(value);
+      });
+    });
+
+    it("handles percentage strings", () => {
+      expect(reversePercent("1,150", "15 %")).to.equal(1000);
+    });
+
+    it("returns a non-numeric value unchanged", () => {
+      expect(reversePercent(null, 15)).to.be.null;
+    });
+  });
+
+  describe("percentagePoints", function () {
+    it("returns the difference between two percentages in percentage points", () => {
+      expect(percentagePoints(3.5, 4.25)).to.equal(0.75);
+      expect(percentagePoints(4.25, 3.5)).to.equal(-0.75);
+      expect(percentagePoints(0.1, 0.3)).to.equal(0.2);
+    });
+
+    it("handles percentage strings", () => {
+      expect(percentagePoints("3.5%", "4.25%")).to.equal(0.75);
+    });
+
+    it("returns a non-numeric first value unchanged", () => {
+      expect(percentagePoints(null, 4)).to.be.null;
+      expect(percentagePoints(4, null)).to.equal(4);
+    });
+  });
+
+  describe("basisPoints", function () {
+    it("returns 1/10000th of a value", () => {
+      expect(basisPoints(25)).to.equal(0.0025);
+      expect(basisPoints(1)).to.equal(0.0001);
+      expect(basisPoints(0.3)).to.equal(0.00003);
+      expect(basisPoints(0)).to.equal(0);
+    });
+
+    it("handles strings and functionally numeric objects", () => {
+      expect(basisPoints("12,500")).to.equal(1.25);
+      expect(basisPoints({ valueOf() { return 50 } })).to.equal(0.005);
+    });
+
+    it("returns a non-numeric value unchanged", () => {
+      expect(basisPoints(null)).to.be.null;
+      expect(basisPoints()).to.be.undefined;
+    });
+
+    it("returns NaN for values that parse to NaN", () => {
+      expect(basisPoints("abc")).to.be.NaN;
+    });
+  });
+
+  describe("perMille", function () {
+    it("returns 1/1000th of a value", () => {
+      expect(perMille(5)).to.equal(0.005);
+      expect(perMille(0.7)).to.equal(0.0007);
+      expect(perMille(1000)).to.equal(1);
+    });
+
+    it("handles strings and functionally numeric objects", () => {
+      expect(perMille("2,500")).to.equal(2.5);
+      expect(perMille(new Number(3))).to.equal(0.003);
+    });
+
+    it("returns a non-numeric value unchanged", () => {
+      expect(perMille(null)).to.be.null;
+    });
+
+    it("returns NaN for values that parse to NaN", () => {
+      expect(perMille({})).to.be.NaN;
+    });
+  });
+
   describe("power", () => {
     it("missing params should throw an Error", () => {
       var exec = function () {
@@ -152,12 +315,80 @@ describe("Conversions", function () {
       expect(actual, "should return 625").to.equal(625);
     });
 
+    describe("with large exponents", () => {
+      it("1.0001 to the 1000000", () => {
+        // Math.pow(1.0001, 1e6) returns 2.6747109931126854e+43
+        var actual = power({ value: 1.0001, exponent: 1e6 })
+
+        expect(actual, "should return 2.6747109931421404e+43").to.equal(2.6747109931421404e+43);
+      })
+
+      it("7 to the 22", () => {
+        // 3909821048582988049, where Math.pow(7, 22) returns 3909821048582988000
+        var actual = power({ value: 7, exponent: 22 })
+
+        expect(actual, "should return 3909821048582988300").to.equal(3909821048582988300);
+      })
+
+      it("2 to the 1024 overflows to Infinity", () => {
+        var actual = power({ value: 2, exponent: 1024 })
+
+        expect(actual, "should return Infinity").to.equal(Infinity);
+      })
+
+      it("exponents past 1e21 overflow to Infinity or 0", () => {
+        expect(power({ value: 2, exponent: 1e22 })).to.equal(Infinity);
+        expect(power({ value: 2, exponent: -1e22 })).to.equal(0);
+        expect(power({ value: 0.9999999, exponent: 1e300 })).to.equal(0);
+        expect(power({ value: 1, exponent: 1e300 })).to.equal(1);
+      })
+
+      it("-1.1 to the 3", () => {
+        var actual = power({ value: -1.1, exponent: 3 })
+
+        expect(actual, "should return -1.331").to.equal(-1.331);
+      })
+    });
+
+    describe("with BigInt values", () => {
+      it("2n to the 100", () => {
+        var actual = power({ value: 2n, exponent: 100 })
+
+        expect(actual, "should return 1267650600228229401496703205376n").to.equal(1267650600228229401496703205376n);
+      })
+
+      it("3n to the 0n", () => {
+        var actual = power({ value: 3n, exponent: 0n })
+
+        expect(actual, "should return 1n").to.equal(1n);
+      })
+
+      it("2n to the -1 returns a Number", () => {
+        var actual = power({ value: 2n, exponent: -1 })
+
+        expect(actual, "should return 0.5").to.equal(0.5);
+      })
+    });
+
     describe("with negative exponents", () => {
       it("2 to the -2", () => {
         var actual = power({ value: 2, exponent: -2 })
 
         expect(actual, "should return 0.25").to.equal(0.25);
       })
+
+      it("0.1 to the -3", () => {
+        // Math.pow(0.1, -3) returns 999.9999999999999
+        var actual = power({ value: 0.1, exponent: -3 })
+
+        expect(actual, "should return 1000").to.equal(1000);
+      })
+
+      it("0 to the -1", () => {
+        var actual = power({ value: 0, exponent: -1 })
+
+        expect(actual, "should return Infinity").to.equal(Infinity);
+      })
     });
 
     describe("with fractional exponents", () => {
@@ -196,6 +427,73 @@ describe("Conversions", function () {
 
         expect(actual, "should return 0.17677669529663687").to.equal(0.17677669529663687);
       })
+
+      it("1.21 to the 0.5", () => {
+        var actual = power({ value: 1.21, exponent: 0.5 })
+
+        expect(actual, "should return 1.1").to.equal(1.1);
+      })
+
+      it("8 to the 1/3", () => {
+        // Math.pow(8, 1/3) returns 2, but Math.pow(1000, 1/3) returns 9.999999999999998
+        expect(power({ value: 8, exponent: 1 / 3 })).to.equal(2);
+        expect(power({ value: 1000, exponent: 1 / 3 })).to.equal(10);
+      })
+
+      it("27 to the 2/3", () => {
+        var actual = power({ value: 27, exponent: 2 / 3 })
+
+        expect(actual, "should return 9").to.equal(9);
+      })
+
+      it("4 to the -0.5", () => {
+        var actual = power({ value: 4, exponent: -0.5 })
+
+        expect(actual, "should return 0.5").to.equal(0.5);
+      })
+
+      it("-8 to the 1/3", () => {
+        var actual = power({ value: -8, exponent: 1 / 3 })
+
+        expect(actual, "should return -2").to.equal(-2);
+      })
+    })
+
+    describe("with large ratio exponents", () => {
+      it("falls back to Math.pow when the raised number has too many digits", () => {
+        var start = Date.now()
+        var actual = power({ value: 1.23456789e200, exponent: 0.999 })
+
+        expect(actual).to.equal(Math.pow(1.23456789e200, 0.999))
+        expect(Date.now() - start, "should take less than 1 second").to.be.below(1000)
+      })
+    })
+
+    describe("with places", () => {
+      it("2 to the 0.5 to 4 places", () => {
+        var actual = power({ value: 2, exponent: 0.5, places: 4 })
+
+        expect(actual, "should return 1.4142").to.equal(1.4142);
+      })
+
+      it("2 to the -0.5 to 4 places", () => {
+        var actual = power({ value: 2, exponent: -0.5, places: 4 })
+
+        expect(actual, "should return 0.7071").to.equal(0.7071);
+      })
+
+      it("1.15 to the 2 to 2 places", () => {
+        // 1.3225
+        var actual = power({ value: 1.15, exponent: 2, places: 2 })
+
+        expect(actual, "should return 1.32").to.equal(1.32);
+      })
+
+      it("rounds exponents that are not small ratios to places", () => {
+        var actual = power({ value: 3, exponent: Math.PI, places: 4 })
+
+        expect(actual, "should return 31.5443").to.equal(31.5443);
+      })
     })
   })
 
@@ -362,5 +660,342 @@ describe("Conversions", function () {
 
       expect(actual, "should return 3").to.equal(3);
     });
+
+    it("1.21", () => {
+      var actual = sqrt(1.21);
+
+      expect(actual, "should return 1.1").to.equal(1.1);
+    });
+
+    it("2 to 10 places", () => {
+      var actual = sqrt(2, 10);
+
+      expect(actual, "should return 1.4142135624").to.equal(1.4142135624);
+    });
+
+    it("2 to 300000 places uses Math.sqrt", () => {
+      var actual = sqrt(2, 300000);
+
+      expect(actual, "should return 1.4142135623730951").to.equal(1.4142135623730951);
+    });
+  })
+
+  describe("root", function () {
+    it("undefined", () => {
+      var actual = root();
+
+      expect(actual, "should return undefined").to.be.undefined;
+    });
+
+    it("square root by default", () => {
+      var actual = root(16);
+
+      expect(actual, "should return 4").to.equal(4);
+    });
+
+    it("27, 3", () => {
+      var actual = root(27, 3);
+
+      expect(actual, "should return 3").to.equal(3);
+    });
+
+    it("64, 3", () => {
+      // Math.pow(64, 1/3) returns 3.9999999999999996
+      var actual = root(64, 3);
+
+      expect(actual, "should return 4").to.equal(4);
+    });
+
+    it("0.001, 3", () => {
+      var actual = root(0.001, 3);
+
+      expect(actual, "should return 0.1").to.equal(0.1);
+    });
+
+    it("-8, 3", () => {
+      var actual = root(-8, 3);
+
+      expect(actual, "should return -2").to.equal(-2);
+    });
+
+    it("-16, 4", () => {
+      var actual = root(-16, 4);
+
+      expect(actual, "should return NaN").to.be.NaN;
+    });
+
+    it("2, 3, 20", () => {
+      var actual = root(2, 3, 20);
+
+      expect(actual, "should return 1.2599210498948732").to.equal(1.2599210498948732);
+    });
+
+    it("2, 3, 5", () => {
+      var actual = root(2, 3, 5);
+
+      expect(actual, "should return 1.25992").to.equal(1.25992);
+    });
+
+    it("2, 1000, 30 uses Math.pow past 25000 digits", () => {
+      var actual = root(2, 1000, 30);
+
+      expect(actual, "should return 1.0006933874625807").to.equal(1.0006933874625807);
+    });
+
+    it("String(\"1,000\"), 3", () => {
+      var actual = root("1,000", 3);
+
+      expect(actual, "should return 10").to.equal(10);
+    });
+
+    it("Infinity, 3", () => {
+      var actual = root(Infinity, 3);
+
+      expect(actual, "should return Infinity").to.equal(Infinity);
+    });
+
+    it("throws a RangeError if n is not a positive integer", () => {
+      expect(() => root(8, 0)).to.throw(RangeError);
+      expect(() => root(8, 1.5)).to.throw(RangeError);
+    });
+  })
+  describe("log", function () {
+    it("undefined", () => {
+      var actual = log();
+
+      expect(actual, "should return undefined").to.be.undefined;
+    });
+
+    it("natural logarithm by default", () => {
+      expect(log(Math.E)).to.equal(1);
+      expect(log(1)).to.equal(0);
+    });
+
+    it("1000, 10", () => {
+      // Math.log(1000) / Math.log(10) returns 2.9999999999999996
+      var actual = log(1000, 10);
+
+      expect(actual, "should return 3").to.equal(3);
+    });
+
+    it("81, 3", () => {
+      // Math.log(81) / Math.log(3) returns 4.000000000000001
+      var actual = log(81, 3);
+
+      expect(actual, "should return 4").to.equal(4);
+    });
+
+    it("0.001, 0.1", () => {
+      var actual = log(0.001, 0.1);
+
+      expect(actual, "should return 3").to.equal(3);
+    });
+
+    it("0, 10", () => {
+      var actual = log(0, 10);
+
+      expect(actual, "should return -Infinity").to.equal(-Infinity);
+    });
+
+    it("-1, 10", () => {
+      var actual = log(-1, 10);
+
+      expect(actual, "should return NaN").to.be.NaN;
+    });
+
+    it("invalid base returns NaN", () => {
+      expect(log(8, 1)).to.be.NaN;
+      expect(log(8, -2)).to.be.NaN;
+      expect(log(8, "abc")).to.be.NaN;
+    });
+  })
+
+  describe("log10", function () {
+    it("null", () => {
+      var actual = log10(null);
+
+      expect(actual, "should return null").to.be.null;
+    });
+
+    it("0.001", () => {
+      var actual = log10(0.001);
+
+      expect(actual, "should return -3").to.equal(-3);
+    });
+
+    it("String(\"1,000\")", () => {
+      var actual = log10("1,000");
+
+      expect(actual, "should return 3").to.equal(3);
+    });
+
+    it("5", () => {
+      var actual = log10(5);
+
+      expect(actual, "should return 0.6989700043360189").to.equal(0.6989700043360189);
+    });
+  })
+
+  describe("log2", function () {
+    it("0.125", () => {
+      var actual = log2(0.125);
+
+      expect(actual, "should return -3").to.equal(-3);
+    });
+
+    it("1024", () => {
+      var actual = log2(1024);
+
+      expect(actual, "should return 10").to.equal(10);
+    });
+  })
+
+  describe("ln", function () {
+    it("NaN", () => {
+      var actual = ln(NaN);
+
+      expect(actual, "should return NaN").to.be.NaN;
+    });
+
+    it("Math.E to the 3", () => {
+      var actual = ln(power({ value: Math.E, exponent: 3 }));
+
+      expect(actual, "should return 3").to.equal(3);
+    });
+  })
+
+  describe("exp", function () {
+    it("undefined", () => {
+      var actual = exp();
+
+      expect(actual, "should return undefined").to.be.undefined;
+    });
+
+    it("0 and 1", () => {
+      expect(exp(0)).to.equal(1);
+      expect(exp(1)).to.equal(Math.E);
+    });
+
+    it("Boolean(true)", () => {
+      var actual = exp(true);
+
+      expect(actual, "should return Math.E").to.equal(Math.E);
+    });
+  })
+
+  describe("round", function () {
+    it("undefined", () => {
+      var actual = round();
+
+      expect(actual, "should return undefined").to.be.undefined;
+    });
+
+    it("null", () => {
+      var actual = round(null);
+
+      expect(actual, "should return null").to.be.null;
+    });
+
+    it("NaN", () => {
+      var actual = round(NaN);
+
+      expect(actual, "should return NaN").to.be.NaN;
+    });
+
+    it("Infinity", () => {
+      var actual = round(Infinity, 2);
+
+      expect(actual, "should return Infinity").to.equal(Infinity);
+    });
+
+    it("defaults to 0 places, half-up", () => {
+      expect(round(2.5)).to.equal(3);
+      expect(round(-2.5)).to.equal(-3);
+      expect(round(2.4)).to.equal(2);
+    });
+
+    it("1.005 to 2 places", () => {
+      var actual = round(1.005, 2);
+
+      // Should not return 1
+      expect(actual, "should return 1.01").to.equal(1.01);
+    });
+
+    it("2.675 to 2 places", () => {
+      var actual = round(2.675, 2);
+
+      // Should not return 2.67
+      expect(actual, "should return 2.68").to.equal(2.68);
+    });
+
+    it("returns values with fewer places unchanged", () => {
+      expect(round(0.1, 5)).to.equal(0.1);
+      expect(round(7, 2)).to.equal(7);
+    });
+
+    it("half-even", () => {
+      expect(round(2.5, 0, "half-even")).to.equal(2);
+      expect(round(3.5, 0, "half-even")).to.equal(4);
+      expect(round(2.675, 2, "half-even")).to.equal(2.68);
+      expect(round(2.665, 2, "half-even")).to.equal(2.66);
+      expect(round(2.6651, 2, "half-even")).to.equal(2.67);
+      expect(round(-0.125, 2, "half-even")).to.equal(-0.12);
+    });
+
+    it("half-down", () => {
+      expect(round(2.5, 0, "half-down")).to.equal(2);
+      expect(round(-2.5, 0, "half-down")).to.equal(-2);
+      expect(round(1.005, 2, "half-down")).to.equal(1);
+      expect(round(1.0051, 2, "half-down")).to.equal(1.01);
+    });
+
+    it("ceil", () => {
+      expect(round(1.001, 2, "ceil")).to.equal(1.01);
+      expect(round(-1.009, 2, "ceil")).to.equal(-1);
+      expect(round(1.1, 1, "ceil")).to.equal(1.1);
+    });
+
+    it("floor", () => {
+      expect(round(1.009, 2, "floor")).to.equal(1);
+      expect(round(-1.001, 2, "floor")).to.equal(-1.01);
+    });
+
+    it("truncate", () => {
+      expect(round(1.999, 2, "truncate")).to.equal(1.99);
+      expect(round(-1.999, 2, "truncate")).to.equal(-1.99);
+    });
+
+    it("carries into the integer", () => {
+      expect(round(9.995, 2)).to.equal(10);
+      expect(round(-0.95, 1, "floor")).to.equal(-1);
+    });
+
+    it("does not return -0", () => {
+      expect(Object.is(round(-0.001, 2), 0)).to.equal(true);
+    });
+
+    it("negative places", () => {
+      expect(round(1250, -2)).to.equal(1300);
+      expect(round(1250, -2, "half-even")).to.equal(1200);
+      expect(round(1234.5, -1, "floor")).to.equal(1230);
+    });
+
+    it("negative places past the largest Number", () => {
+      expect(round(5, -400)).to.equal(0);
+      expect(round(1e300, -320)).to.equal(0);
+      expect(Object.is(round(-5, -400), 0)).to.equal(true);
+      expect(round(5, -400, "ceil")).to.equal(Infinity);
+      expect(round(-5, -400, "floor")).to.equal(-Infinity);
+    });
+
+    it("String and Functionally Numeric Object", () => {
+      expect(round("1,000.125", 2)).to.equal(1000.13);
+      expect(round({ valueOf: () => 0.125 }, 2, "half-even")).to.equal(0.12);
+    });
+
+    it("invalid mode should throw a RangeError", () => {
+      expect(() => round(1.5, 0, "nearest")).to.throw(RangeError);
+      expect(() => round(1.5, 0, "toString")).to.throw(RangeError);
+    });
   })
 });
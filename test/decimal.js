@@ -0,0 +1,148 @@
+import { decimal } from "../safe-math.js";
+
+describe("Decimal strings", function () {
+
+  var { expect } = chai;
+
+  describe("decimal.add", function () {
+    it("returns \"0\" if no values in series", () => {
+      expect(decimal.add()).to.equal("0");
+    });
+
+    it("0.1 + 0.2 returns \"0.3\"", () => {
+      expect(decimal.add("0.1", "0.2")).to.equal("0.3");
+      expect(decimal.add(0.1, 0.2)).to.equal("0.3");
+    });
+
+    it("adds values with more than 15 significant digits", () => {
+      var actual = decimal.add("123456789.123456789", "0.000000001");
+
+      expect(actual).to.equal("123456789.12345679");
+    });
+
+    it("adds 18+ digit ledger values", () => {
+      var actual = decimal.add([
+        "9007199254740993.01",
+        "1.99",
+        "-0.000000000000000001"
+      ]);
+
+      expect(actual).to.equal("9007199254740994.999999999999999999");
+    });
+
+    it("handles formatted strings, exponent notation, BigInts and functionally numeric values", () => {
+      var actual = decimal.add(
+        "1,000",
+        "2.5E-8",
+        12345678901234567890n,
+        true,
+        { valueOf() { return "0.5" } }
+      );
+
+      expect(actual).to.equal("12345678901234568891.500000025");
+    });
+
+    it("ignores functionally non-numeric values", () => {
+      expect(decimal.add(NaN, "1", null, "2", undefined, "")).to.equal("3");
+    });
+
+    it("returns Number results for non-finite or non-decimal values", () => {
+      expect(decimal.add(Infinity, "1")).to.equal("Infinity");
+      expect(decimal.add("abc", "1")).to.equal("NaN");
+    });
+
+    it("does not return \"-0\"", () => {
+      expect(decimal.add("-0.1", "0.1")).to.equal("0");
+    });
+  });
+
+  describe("decimal.minus", function () {
+    it("handles a single value - should be unchanged", () => {
+      expect(decimal.minus("1.50")).to.equal("1.5");
+    });
+
+    it("subtracts without loss", () => {
+      expect(decimal.minus("1", "0.000000000000000001")).to.equal("0.999999999999999999");
+      expect(decimal.minus("0.1", "0.3")).to.equal("-0.2");
+      expect(decimal.minus(["1,000.50", "0.5", "1,000"])).to.equal("0");
+    });
+  });
+
+  describe("decimal.multiply", function () {
+    it("handles a single value", () => {
+      expect(decimal.multiply("2.5")).to.equal("2.5");
+    });
+
+    it("multiplies without loss", () => {
+      var actual = decimal.multiply("123456789.123456789", "1000000000.5");
+
+      expect(actual).to.equal("123456789185185183.5617283945");
+    });
+
+    it("0.1 * 0.1 returns \"0.01\"", () => {
+      expect(decimal.multiply("0.1", "0.1")).to.equal("0.01");
+    });
+
+    it("handles negative values and exponent notation", () => {
+      expect(decimal.multiply("-2.5E-8", 4)).to.equal("-0.0000001");
+    });
+  });
+
+  describe("decimal.divide", function () {
+    it("handles a single value, returns it unmodified", () => {
+      expect(decimal.divide("1.25")).to.equal("1.25");
+    });
+
+    it("returns terminating quotients exactly", () => {
+      expect(decimal.divide("10", "4", "2")).to.equal("1.25");
+      expect(decimal.divide("0.15", "0.1")).to.equal("1.5");
+    });
+
+    it("rounds non-terminating quotients to 20 places by default", () => {
+      expect(decimal.divide("1", "3")).to.equal("0.33333333333333333333");
+      expect(decimal.divide("2", "3")).to.equal("0.66666666666666666667");
+    });
+
+    it("accepts scale and rounding options", () => {
+      expect(decimal.divide({ scale: 4 }, "2", "3")).to.equal("0.6667");
+      expect(decimal.divide({ scale: 1, rounding: "half-even" }, "0.25", 1)).to.equal("0.2");
+      expect(decimal.divide({ scale: 2, rounding: "floor" }, -2, 3)).to.equal("-0.67");
+      expect(decimal.divide({ scale: 0 }, "123456789123456789.5", 1)).to.equal("123456789123456790");
+    });
+
+    it("rounds to a power of 10 with a negative scale", () => {
+      expect(decimal.divide({ scale: -2 }, "123456", "1")).to.equal("123500");
+      expect(decimal.divide({ scale: -2, rounding: "floor" }, "-123456", "1")).to.equal("-123500");
+      expect(decimal.divide({ scale: -3 }, "123456789123456789", "3")).to.equal("41152263041152000");
+      expect(decimal.divide({ scale: -2 }, "4", "1")).to.equal("0");
+    });
+
+    it("handles zero divisors", () => {
+      expect(decimal.divide("1", "0")).to.equal("Infinity");
+      expect(decimal.divide("-1", "0")).to.equal("-Infinity");
+      expect(decimal.divide("0", "0")).to.equal("NaN");
+    });
+
+    it("invalid rounding mode should throw a RangeError", () => {
+      expect(() => decimal.divide({ rounding: "up" }, 1, 3)).to.throw(RangeError);
+      expect(() => decimal.divide({ rounding: "toString" }, 1, 3)).to.throw(RangeError);
+    });
+  });
+
+  describe("decimal.mean", function () {
+    it("returns \"0\" if no values in series", () => {
+      expect(decimal.mean()).to.equal("0");
+    });
+
+    it("returns average value of a series", () => {
+      expect(decimal.mean("0.1", "0.2", "0.3", "0.4")).to.equal("0.25");
+      expect(decimal.mean([1, 2])).to.equal("1.5");
+    });
+
+    it("averages 18+ digit values without loss", () => {
+      var actual = decimal.mean("123456789.123456789", "123456789.123456791");
+
+      expect(actual).to.equal("123456789.12345679");
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { evaluate } from "../safe-math.js";
+
+describe("Expressions", function () {
+
+  var { expect } = chai;
+
+  describe("evaluate", function () {
+    it("evaluates a number", () => {
+      expect(evaluate("42")).to.equal(42);
+      expect(evaluate(" .5 ")).to.equal(0.5);
+      expect(evaluate("1.5e3")).to.equal(1500);
+    });
+
+    it("0.1 + 0.2 returns 0.3", () => {
+      var actual = evaluate("0.1 + 0.2");
+
+      expect(actual).to.equal(0.3);
+    });
+
+    it("applies operator precedence", () => {
+      expect(evaluate("1 + 2 * 3")).to.equal(7);
+      expect(evaluate("10 - 4 - 3")).to.equal(3);
+      expect(evaluate("12 / 2 / 3")).to.equal(2);
+      expect(evaluate("0.1 * 3 + 0.2 / 2")).to.equal(0.4);
+    });
+
+    it("applies parentheses", () => {
+      expect(evaluate("(1 + 2) * 3")).to.equal(9);
+      expect(evaluate("((0.1 + 0.2))")).to.equal(0.3);
+    });
+
+    it("applies unary minus and plus", () => {
+      expect(evaluate("-1 + 3")).to.equal(2);
+      expect(evaluate("2 * -0.1")).to.equal(-0.2);
+      expect(evaluate("--1")).to.equal(1);
+      expect(evaluate("+0.3 - -0.1")).to.equal(0.4);
+    });
+
+    it("maps ^ to power, right-associative and binding tighter than unary minus", () => {
+      expect(evaluate("1.1 ^ 2")).to.equal(1.21);
+      expect(evaluate("2 ^ 3 ^ 2")).to.equal(512);
+      expect(evaluate("-2 ^ 2")).to.equal(-4);
+      expect(evaluate("2 ^ -2")).to.equal(0.25);
+    });
+
+    it("maps postfix % to percent", () => {
+      expect(evaluate("50%")).to.equal(0.5);
+      expect(evaluate("200 * 7%")).to.equal(14);
+    });
+
+    it("calls functions", () => {
+      expect(evaluate("sqrt(9)")).to.equal(3);
+      expect(evaluate("root(-27, 3)")).to.equal(-3);
+      expect(evaluate("mean(0.1, 0.2, 0.3, 0.4)")).to.equal(0.25);
+      expect(evaluate("median(3, 1, 2)")).to.equal(2);
+      expect(evaluate("power(1.1, 2) + square(0.1)")).to.equal(1.22);
+      expect(evaluate("round(1.005, 2)")).to.equal(1.01);
+      expect(evaluate("stdev(0.1, 0.2, 0.3)")).to.equal(0.1);
+      expect(evaluate("addPercent(19.99, 15)")).to.equal(22.9885);
+      expect(evaluate("percentOf(30, 120)")).to.equal(25);
+    });
+
+    it("resolves variables", () => {
+      var actual = evaluate("(0.1 + 0.2) * qty / 3", { qty: 7 });
+
+      expect(actual).to.equal(0.7);
+    });
+
+    it("resolves functionally numeric variables", () => {
+      var actual = evaluate("a + b + c", {
+        a: "1,000",
+        b: { valueOf() { return 0.1 } },
+        c: true
+      });
+
+      expect(actual).to.equal(1001.1);
+    });
+
+    it("throws SyntaxError with column on unexpected token", () => {
+      var exec = () => evaluate("1 + * 2");
+
+      expect(exec).to.throw(SyntaxError, "Unexpected \"*\" at column 5");
+
+      try {
+        exec()
+      } catch (error) {
+        expect(error.column).to.equal(5);
+      }
+    });
+
+    it("throws SyntaxError with column on unexpected character", () => {
+      expect(() => evaluate("1 + 2 # 3")).to.throw(SyntaxError, "at column 7");
+    });
+
+    it("throws SyntaxError on unbalanced parentheses", () => {
+      expect(() => evaluate("(1 + 2")).to.throw(SyntaxError, "Expected \")\" but found end of expression at column 7");
+      expect(() => evaluate("1 + 2)")).to.throw(SyntaxError, "Unexpected \")\" at column 6");
+    });
+
+    it("throws SyntaxError on empty or incomplete expression", () => {
+      expect(() => evaluate("")).to.throw(SyntaxError, "Unexpected end of expression at column 1");
+      expect(() => evaluate("1 +")).to.throw(SyntaxError, "at column 4");
+    });
+
+    it("throws ReferenceError on unknown variables and functions", () => {
+      expect(() => evaluate("1 + x")).to.throw(ReferenceError, "Unknown variable \"x\" at column 5");
+      expect(() => evaluate("foo(1)")).to.throw(ReferenceError, "Unknown function \"foo\" at column 1");
+      expect(() => evaluate("toString")).to.throw(ReferenceError);
+    });
+
+    it("throws TypeError with column on variables that are not numbers", () => {
+      expect(() => evaluate("x + 1", { x: "abc" })).to.throw(TypeError, "Variable \"x\" is not a number at column 1");
+      expect(() => evaluate("2 * x", { x: null })).to.throw(TypeError, "at column 5");
+      expect(() => evaluate("2 * x", { x: undefined })).to.throw(TypeError);
+      expect(() => evaluate("x", { x: NaN })).to.throw(TypeError);
+    });
+
+    it("carries NaN operands through the operators", () => {
+      expect(evaluate("sqrt(-1) + 1")).to.be.NaN;
+      expect(evaluate("2 * log(-1)")).to.be.NaN;
+      expect(evaluate("1 - 1 / sqrt(-4)")).to.be.NaN;
+      expect(evaluate("0/0 + 1")).to.be.NaN;
+    });
+
+    it("carries NaN arguments through function calls", () => {
+      expect(evaluate("add(0/0, 1)")).to.be.NaN;
+      expect(evaluate("mean(sqrt(-1), 3)")).to.be.NaN;
+      expect(evaluate("round(log(-1), 2)")).to.be.NaN;
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import { createSafeMath, SafeMathError } from "../safe-math.js";
+
+describe("Factory", function () {
+
+  var { expect } = chai;
+
+  describe("createSafeMath", function () {
+    it("returns the operator, series and conversion functions", () => {
+      var actual = createSafeMath();
+
+      [
+        "add", "minus", "multiply", "divide",
+        "mean", "median", "mode", "range",
+        "percent", "percentOf", "addPercent", "subtractPercent", "reversePercent",
+        "percentagePoints", "basisPoints", "perMille", "power", "reciprocal", "square", "sqrt", "root", "round"
+      ].forEach(name => {
+        expect(actual[name], name).to.be.a("function");
+      });
+    });
+
+    it("throws a RangeError for an unknown policy", () => {
+      expect(() => createSafeMath({ onInvalid: "ignore" })).to.throw(RangeError);
+    });
+
+    it("valid values are unaffected by any policy", () => {
+      ["skip", "throw", "nan"].forEach(onInvalid => {
+        var { add, divide, mean, power, sqrt } = createSafeMath({ onInvalid });
+
+        expect(add(0.1, 0.2)).to.equal(0.3);
+        expect(divide({ scale: 2 }, [2, 3])).to.equal(0.67);
+        expect(mean("1,000", true, { valueOf() { return 2 } })).to.equal(334.3333333333333);
+        expect(power({ value: 1.1, exponent: 2 })).to.equal(1.21);
+        expect(sqrt(9)).to.equal(3);
+      });
+    });
+
+    it("accepts BigInt values under any policy", () => {
+      ["skip", "throw", "nan"].forEach(onInvalid => {
+        var { add, power } = createSafeMath({ onInvalid });
+
+        expect(power({ value: 3n, exponent: 2 })).to.equal(9n);
+        expect(add(2n, 0.5)).to.equal(2.5);
+      });
+    });
+  });
+
+  describe("onInvalid: \"skip\"", function () {
+    var { add, addPercent, covariance, divide, mean, percent, power, quantile, root, sqrt, trimmedMean } = createSafeMath({ onInvalid: "skip" });
+
+    it("is the default", () => {
+      var { add } = createSafeMath();
+
+      expect(add(1, "abc", 2)).to.equal(3);
+    });
+
+    it("ignores invalid values in a series, including strings and objects that parse to NaN", () => {
+      expect(add(1, null, "abc", {}, 2)).to.equal(3);
+      expect(mean([1, "abc", 3])).to.equal(2);
+      expect(divide({ scale: 2 }, 2, "x", 3)).to.equal(0.67);
+    });
+
+    it("ignores invalid values in a values array followed by other arguments", () => {
+      expect(quantile([1, "abc", 3], 0.5)).to.equal(2);
+      expect(trimmedMean([1, "abc", 3], 0)).to.equal(2);
+    });
+
+    it("ignores pairs with an invalid value in paired series", () => {
+      expect(covariance([1, "abc", 2, 3], [1, 2, {}, 3])).to.equal(2);
+    });
+
+    it("returns an invalid single value unchanged", () => {
+      expect(percent("abc")).to.equal("abc");
+      expect(power({ value: null })).to.be.null;
+      expect(power()).to.be.undefined;
+    });
+
+    it("returns what the library function returns for a negative root", () => {
+      expect(sqrt(-1)).to.be.an.instanceof(Error);
+      expect(sqrt(-1).message).to.equal("Invalid Input");
+      expect(root(-16, 4)).to.be.NaN;
+    });
+
+    it("ignores invalid values in an iterable followed by other arguments", () => {
+      expect(quantile(new Set([1, "x", 3]), 0.5)).to.equal(2);
+    });
+
+    it("returns the first value if either of two values is invalid", () => {
+      expect(addPercent("abc", 15)).to.equal("abc");
+      expect(addPercent(100, "x")).to.equal(100);
+    });
+  });
+
+  describe("onInvalid: \"throw\"", function () {
+    var { add, correlation, iqr, minus, mode, percent, percentOf, power, root, sqrt } = createSafeMath({ onInvalid: "throw" });
+
+    it("throws a SafeMathError with code, value and index", () => {
+      try {
+        add(1, "abc");
+
+        expect.fail("should have thrown");
+      } catch (error) {
+        expect(error).to.be.an.instanceof(SafeMathError);
+        expect(error).to.be.an.instanceof(Error);
+        expect(error.name).to.equal("SafeMathError");
+        expect(error.code).to.equal("INVALID_VALUE");
+        expect(error.value).to.equal("abc");
+        expect(error.index).to.equal(1);
+        expect(error.message).to.equal("Invalid value \"abc\" at index 1");
+      }
+    });
+
+    it("reports the index within a values array", () => {
+      try {
+        minus([1, 2, undefined]);
+
+        expect.fail("should have thrown");
+      } catch (error) {
+        expect(error.index).to.equal(2);
+        expect(error.value).to.be.undefined;
+      }
+
+      expect(() => mode([1, NaN])).to.throw(SafeMathError, "Invalid value NaN at index 1");
+      expect(() => iqr([1, 2, "x"])).to.throw(SafeMathError, "at index 2");
+      expect(() => correlation([1, 2], [1, "y"])).to.throw(SafeMathError, "Invalid value \"y\" at index 1");
+    });
+
+    it("throws for invalid single values", () => {
+      expect(() => percent(null)).to.throw(SafeMathError, "Invalid value null at index 0");
+      expect(() => power({ value: 2, exponent: "" })).to.throw(SafeMathError, "at index 1");
+      expect(() => percentOf(5, "abc")).to.throw(SafeMathError, "Invalid value \"abc\" at index 1");
+    });
+
+    it("throws NEGATIVE_ROOT for sqrt of a negative value", () => {
+      try {
+        sqrt(-1);
+
+        expect.fail("should have thrown");
+      } catch (error) {
+        expect(error.code).to.equal("NEGATIVE_ROOT");
+        expect(error.value).to.equal(-1);
+      }
+
+      expect(() => sqrt("-4")).to.throw(SafeMathError);
+      expect(() => root(-16, 4)).to.throw(SafeMathError, "Negative value -16 at index 0");
+    });
+
+    it("allows odd roots of negative values", () => {
+      expect(root(-8, 3)).to.equal(-2);
+    });
+
+    it("throws MISSING_ARGUMENT for power without an argument", () => {
+      try {
+        power();
+
+        expect.fail("should have thrown");
+      } catch (error) {
+        expect(error).to.be.an.instanceof(SafeMathError);
+        expect(error.code).to.equal("MISSING_ARGUMENT");
+      }
+    });
+  });
+
+  describe("onInvalid: \"nan\"", function () {
+    var { add, median, percent, power, sqrt } = createSafeMath({ onInvalid: "nan" });
+
+    it("returns NaN if any value is invalid", () => {
+      expect(add(1, null)).to.be.NaN;
+      expect(median(["abc", 1, 2])).to.be.NaN;
+      expect(percent(undefined)).to.be.NaN;
+      expect(power()).to.be.NaN;
+      expect(sqrt(-4)).to.be.NaN;
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { minorUnits, round, allocate, split, exchange } from "../money.js";
+import { setLocale } from "../safe-math.js";
+
+describe("Money", function () {
+
+  var { expect } = chai;
+
+  describe("minorUnits", function () {
+    it("returns ISO 4217 minor units", () => {
+      expect(minorUnits("JPY")).to.equal(0);
+      expect(minorUnits("USD")).to.equal(2);
+      expect(minorUnits("BHD")).to.equal(3);
+      expect(minorUnits("CLF")).to.equal(4);
+    });
+
+    it("is not case-sensitive", () => {
+      expect(minorUnits("jpy")).to.equal(0);
+    });
+
+    it("returns 2 for other currencies", () => {
+      expect(minorUnits("EUR")).to.equal(2);
+    });
+
+    it("throws a RangeError for invalid codes", () => {
+      expect(() => minorUnits("US")).to.throw(RangeError);
+      expect(() => minorUnits()).to.throw(RangeError);
+    });
+  });
+
+  describe("round", function () {
+    it("rounds to the currency's minor units", () => {
+      expect(round(1.005, "USD")).to.equal(1.01);
+      expect(round(1234.5, "JPY")).to.equal(1235);
+      expect(round(1.0005, "BHD")).to.equal(1.001);
+    });
+
+    it("accepts a rounding mode", () => {
+      expect(round(2.665, "USD", "half-even")).to.equal(2.66);
+    });
+
+    it("returns non-numeric amounts unchanged", () => {
+      expect(round(null, "USD")).to.be.null;
+    });
+  });
+
+  describe("allocate", function () {
+    afterEach(() => {
+      setLocale();
+    });
+
+    it("distributes leftover minor units from the first part", () => {
+      expect(allocate(100, [1, 1, 1], "USD")).to.deep.equal([33.34, 33.33, 33.33]);
+      expect(allocate(0.05, [1, 1, 1], "USD")).to.deep.equal([0.02, 0.02, 0.01]);
+    });
+
+    it("allocates in proportion to the ratios", () => {
+      expect(allocate(5, [3, 7], "USD")).to.deep.equal([1.5, 3.5]);
+      expect(allocate("1,000.01", [50, 30, 20], "USD")).to.deep.equal([500.01, 300, 200]);
+      expect(allocate(100, [0.7, 0.2, 0.1], "USD")).to.deep.equal([70, 20, 10]);
+    });
+
+    it("parts add up to the original amount", () => {
+      var parts = allocate(1234.57, [1, 2, 3, 4, 5, 6, 7], "USD");
+      var sum = parts.reduce((a, b) => Math.round(a * 100 + b * 100) / 100, 0);
+
+      expect(sum).to.equal(1234.57);
+    });
+
+    it("uses the currency's minor units", () => {
+      expect(allocate(1000, [1, 1, 1], "JPY")).to.deep.equal([334, 333, 333]);
+      expect(allocate(10, [1, 1, 1], "BHD")).to.deep.equal([3.334, 3.333, 3.333]);
+    });
+
+    it("allocates negative amounts", () => {
+      expect(allocate(-100, [1, 1, 1], "USD")).to.deep.equal([-33.34, -33.33, -33.33]);
+    });
+
+    it("parses ratios with the current locale", () => {
+      setLocale("de-DE");
+
+      expect(allocate(100, ["1,5", "2"], "USD")).to.deep.equal([42.86, 57.14]);
+    });
+
+    it("returns NaN parts for non-numeric amounts", () => {
+      expect(allocate("abc", [1, 2], "USD")).to.deep.equal([NaN, NaN]);
+    });
+
+    it("throws a RangeError for invalid ratios", () => {
+      expect(() => allocate(100, [1, -1], "USD")).to.throw(RangeError);
+      expect(() => allocate(100, [1, "x"], "USD")).to.throw(RangeError);
+      expect(() => allocate(100, [0, 0], "USD")).to.throw(RangeError);
+    });
+  });
+
+  describe("split", function () {
+    it("splits an amount into equal parts", () => {
+      expect(split(100, 3, "USD")).to.deep.equal([33.34, 33.33, 33.33]);
+      expect(split(0.1, 2, "USD")).to.deep.equal([0.05, 0.05]);
+    });
+
+    it("throws a RangeError for invalid counts", () => {
+      expect(() => split(100, 0, "USD")).to.throw(RangeError);
+      expect(() => split(100, 1.5, "USD")).to.throw(RangeError);
+    });
+  });
+
+  describe("exchange", function () {
+    var rates = { USD: 1, EUR: 0.92, JPY: 151.37 };
+
+    it("converts between currencies and rounds to the target's minor units", () => {
+      expect(exchange(10, "EUR", "JPY", rates)).to.equal(1645);
+      expect(exchange(100, "USD", "EUR", rates)).to.equal(92);
+      expect(exchange(1645, "JPY", "USD", rates)).to.equal(10.87);
+    });
+
+    it("accepts a rounding mode", () => {
+      expect(exchange(1645, "JPY", "USD", rates, "floor")).to.equal(10.86);
+    });
+
+    it("returns non-numeric amounts unchanged", () => {
+      expect(exchange("abc", "USD", "EUR", rates)).to.equal("abc");
+    });
+
+    it("throws a RangeError for missing rates", () => {
+      expect(() => exchange(1, "USD", "GBP", rates)).to.throw(RangeError);
+    });
+  });
+});
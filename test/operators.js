@@ -372,6 +372,107 @@ describe("Operators", () => {
 
       expect(actual).to.equal(1.5)
     })
+
+    describe("with scale and rounding options", () => {
+      it("2 / 3 to 4 places", () => {
+        var actual = divide({ scale: 4 }, 2, 3)
+
+        expect(actual).to.equal(0.6667)
+      })
+
+      it("1 / 3 to 2 places", () => {
+        expect(divide({ scale: 2 }, 1, 3)).to.equal(0.33)
+      })
+
+      it("defaults to 0 places", () => {
+        expect(divide({ rounding: "half-up" }, 5, 2)).to.equal(3)
+      })
+
+      it("applies the rounding mode", () => {
+        expect(divide({ scale: 1, rounding: "half-even" }, 0.25, 1)).to.equal(0.2)
+        expect(divide({ scale: 1, rounding: "half-even" }, 0.35, 1)).to.equal(0.4)
+        expect(divide({ scale: 2, rounding: "floor" }, 2, 3)).to.equal(0.66)
+        expect(divide({ scale: 2, rounding: "ceil" }, 1, 300)).to.equal(0.01)
+        expect(divide({ scale: 2, rounding: "truncate" }, -2, 3)).to.equal(-0.66)
+      })
+
+      it("rounds ties by the remainder, not the binary quotient", () => {
+        // (0.15 / 2).toFixed(2) returns "0.07"
+        expect(divide({ scale: 2 }, 0.15, 2)).to.equal(0.08)
+        expect(divide({ scale: 2 }, 2.01, 2)).to.equal(1.01)
+      })
+
+      it("handles negative values", () => {
+        expect(divide({ scale: 3 }, -2, 3)).to.equal(-0.667)
+        expect(divide({ scale: 3 }, 2, -3)).to.equal(-0.667)
+        expect(divide({ scale: 3 }, -2, -3)).to.equal(0.667)
+      })
+
+      it("divides by the product of remaining values", () => {
+        expect(divide({ scale: 2 }, 10, 4, 2)).to.equal(1.25)
+        expect(divide({ scale: 4 }, [1, 0.3, 0.1])).to.equal(33.3333)
+      })
+
+      it("handles zero divisors", () => {
+        expect(divide({ scale: 2 }, 1, 0)).to.equal(Infinity)
+        expect(divide({ scale: 2 }, 0, 0)).to.be.NaN
+      })
+
+      it("rounds to a power of 10 with a negative scale", () => {
+        expect(divide({ scale: -2 }, 123456, 1)).to.equal(123500)
+        expect(divide({ scale: -2 }, -123456, 1)).to.equal(-123500)
+        expect(divide({ scale: -1, rounding: "floor" }, 15, 1)).to.equal(10)
+        expect(divide({ scale: -3 }, 1000000, 3)).to.equal(333000)
+      })
+
+      it("handles scales past the range of a Number", () => {
+        expect(divide({ scale: -400 }, 5, 1)).to.equal(0)
+        expect(divide({ scale: -400, rounding: "ceil" }, 5, 1)).to.equal(Infinity)
+        expect(divide({ scale: 3e6 }, 1, 7)).to.equal(0.14285714285714285)
+      })
+
+      it("divides exactly by divisors above 2^53 / 10", () => {
+        expect(divide({ scale: 30 }, 1, 7654321987654321)).to.equal(1.30645144222167e-16)
+      })
+
+      it("invalid rounding mode should throw a RangeError", () => {
+        expect(() => divide({ rounding: "up" }, 1, 3)).to.throw(RangeError)
+        expect(() => divide({ rounding: "constructor" }, 1, 3)).to.throw(RangeError)
+      })
+    })
+
+    describe("with repeating option", () => {
+      it("2 / 3 returns \"0.(6)\"", () => {
+        var actual = divide({ repeating: true }, 2, 3)
+
+        expect(actual).to.equal("0.(6)")
+      })
+
+      it("returns terminating quotients without a period", () => {
+        expect(divide({ repeating: true }, 1, 4)).to.equal("0.25")
+        expect(divide({ repeating: true }, 6, 3)).to.equal("2")
+      })
+
+      it("returns periods after non-repeating digits", () => {
+        expect(divide({ repeating: true }, 1, 6)).to.equal("0.1(6)")
+        expect(divide({ repeating: true }, 22, 7)).to.equal("3.(142857)")
+        expect(divide({ repeating: true }, -1, 12)).to.equal("-0.08(3)")
+      })
+
+      it("handles decimal operands", () => {
+        expect(divide({ repeating: true }, 0.1, 0.3)).to.equal("0.(3)")
+      })
+
+      it("handles zero divisors", () => {
+        expect(divide({ repeating: true }, 1, 0)).to.equal("Infinity")
+      })
+
+      it("handles divisors above 2^53 / 10", () => {
+        var actual = divide({ repeating: true }, 1, 7654321987654321)
+
+        expect(actual.slice(0, 40)).to.equal("0.00000000000000013064514422216664173202")
+      })
+    })
   })
 
   describe("very small numbers in scientific notation", () => {
@@ -421,4 +522,38 @@ describe("Operators", () => {
       expect(actual).to.equal(expected);
     });
   })
+  describe("exponent notation", () => {
+    it("add", () => {
+      expect(add(1.5e-7, 0.1)).to.equal(0.10000015);
+      expect(add("2.5E-8", "2.5E-8")).to.equal(5e-8);
+      expect(add(1e21, 2e21)).to.equal(3e21);
+      expect(add(1.1e-20, 2.2e-20)).to.equal(3.3e-20);
+    });
+
+    it("minus", () => {
+      expect(minus(0.1, 1.5e-7)).to.equal(0.09999985);
+      expect(minus("3.3E-20", 1.1e-20)).to.equal(2.2e-20);
+      expect(minus(1e21, 1e20)).to.equal(9e20);
+    });
+
+    it("multiply", () => {
+      expect(multiply(1.1e-7, 3)).to.equal(3.3e-7);
+      expect(multiply(0.000123, 0.0001)).to.equal(1.23e-8);
+      expect(multiply(1.1e21, 3)).to.equal(3.3e21);
+      expect(multiply("1.1E+21", "1.1E-21")).to.equal(1.21);
+    });
+
+    it("divide", () => {
+      expect(divide(1.5e-7, 3)).to.equal(5e-8);
+      expect(divide(3.3e21, 1.1e21)).to.equal(3);
+      expect(divide({ scale: 9 }, 2e-8, 3)).to.equal(7e-9);
+    });
+
+    it("decimal values that multiply inexactly by powers of 10", () => {
+      // 1.005 * 1000 returns 1004.9999999999999
+      expect(add(1.005, 0)).to.equal(1.005);
+      expect(multiply(1.005, 1000)).to.equal(1005);
+      expect(minus(2.01, 0.01)).to.equal(2);
+    });
+  })
 })
@@ -0,0 +1,190 @@
+import { parse, setLocale, format, add, mean, mode, percent, round, decimal } from "../safe-math.js";
+
+describe("Parsing and formatting", function () {
+
+  var { expect } = chai;
+
+  describe("parse", function () {
+    it("returns NaN for functionally non-numeric values", () => {
+      expect(parse()).to.be.NaN;
+      expect(parse(null)).to.be.NaN;
+      expect(parse("")).to.be.NaN;
+      expect(parse("abc")).to.be.NaN;
+    });
+
+    it("returns numbers, Booleans and functionally numeric values as numbers", () => {
+      expect(parse(1.5)).to.equal(1.5);
+      expect(parse(true)).to.equal(1);
+      expect(parse({ valueOf() { return "2.5" } })).to.equal(2.5);
+    });
+
+    it("removes grouping commas", () => {
+      expect(parse("1,234,567.89")).to.equal(1234567.89);
+    });
+
+    it("removes currency symbols and codes", () => {
+      expect(parse("$1,234.56")).to.equal(1234.56);
+      expect(parse("-£0.50")).to.equal(-0.5);
+      expect(parse("USD 1,000")).to.equal(1000);
+      expect(parse("1,000 EUR")).to.equal(1000);
+    });
+
+    it("removes underscores and whitespace", () => {
+      expect(parse("1_000_000")).to.equal(1000000);
+      expect(parse(" 1 000 ")).to.equal(1000);
+    });
+
+    it("reads a Unicode minus sign", () => {
+      expect(parse("−5")).to.equal(-5);
+    });
+
+    it("converts a trailing % with percent()", () => {
+      expect(parse("12%")).to.equal(0.12);
+      expect(parse("0.5 %")).to.equal(0.005);
+    });
+
+    it("uses a given locale", () => {
+      expect(parse("1.234,56", "de-DE")).to.equal(1234.56);
+      expect(parse("1 234,56 €", "fr-FR")).to.equal(1234.56);
+      expect(parse("1 234,56", "fr-FR")).to.equal(1234.56);
+      expect(parse("1’234.5", "de-CH")).to.equal(1234.5);
+    });
+
+    it("uses given separators", () => {
+      expect(parse("1'234;5", { group: "'", decimal: ";" })).to.equal(1234.5);
+    });
+
+    it("throws a RangeError if the separators are the same", () => {
+      expect(() => parse("1,5", { group: ",", decimal: "," })).to.throw(RangeError);
+    });
+  });
+
+  describe("setLocale", function () {
+    afterEach(() => {
+      setLocale();
+    });
+
+    it("returns the default separators if no locale is given", () => {
+      var actual = setLocale();
+
+      expect(actual).to.deep.equal({ locale: undefined, group: ",", decimal: "." });
+    });
+
+    it("derives separators from Intl.NumberFormat", () => {
+      var actual = setLocale("de-DE");
+
+      expect(actual).to.deep.equal({ locale: "de-DE", group: ".", decimal: "," });
+    });
+
+    it("accepts separators", () => {
+      var actual = setLocale({ group: " ", decimal: "," });
+
+      expect(actual).to.deep.equal({ locale: undefined, group: " ", decimal: "," });
+    });
+
+    it("is used by all functions", () => {
+      setLocale("de-DE");
+
+      expect(parse("1.234,56")).to.equal(1234.56);
+      expect(add("1.234,5", "0,5")).to.equal(1235);
+      expect(mean(["0,1", "0,2", "0,3", "0,4"])).to.equal(0.25);
+      expect(mode("1.000", 1000, "2,5")).to.deep.equal([1000]);
+      expect(percent("12,5")).to.equal(0.125);
+      expect(round("1,005", 2)).to.equal(1.01);
+      expect(decimal.add("1.234,56", "0,44")).to.equal("1235");
+      expect(decimal.mean("0,1", "0,2")).to.equal("0.15");
+      expect(decimal.divide("3", "1,5", "2")).to.equal("1");
+    });
+
+    it("treats the default group separator as a decimal separator where a locale says so", () => {
+      setLocale("de-DE");
+
+      expect(parse("0,5")).to.equal(0.5);
+    });
+
+    it("throws a RangeError if the separators are the same", () => {
+      expect(() => setLocale({ group: ".", decimal: "." })).to.throw(RangeError);
+      expect(parse("1,000")).to.equal(1000);
+    });
+  });
+
+  describe("formatted percentages", function () {
+    it("are converted by all functions", () => {
+      expect(add("12%", 1)).to.equal(1.12);
+      expect(decimal.add("12.5%", "1")).to.equal("1.125");
+    });
+  });
+  describe("format", function () {
+    afterEach(() => {
+      setLocale();
+    });
+
+    it("never emits exponent notation", () => {
+      expect(format(1e-7)).to.equal("0.0000001");
+      expect(format(1.5e-10)).to.equal("0.00000000015");
+      expect(format(1e21)).to.equal("1,000,000,000,000,000,000,000");
+    });
+
+    it("groups thousands by default", () => {
+      expect(format(1234567.891)).to.equal("1,234,567.891");
+      expect(format(-1234)).to.equal("-1,234");
+      expect(format(123)).to.equal("123");
+    });
+
+    it("omits grouping", () => {
+      expect(format("1,234.5", { grouping: false })).to.equal("1234.5");
+    });
+
+    it("rounds and pads to places", () => {
+      expect(format(1.005, { places: 2 })).to.equal("1.01");
+      expect(format(2.5, { places: 2 })).to.equal("2.50");
+      expect(format(1234.5, { places: 0 })).to.equal("1,235");
+    });
+
+    it("applies the rounding mode", () => {
+      expect(format(2.665, { places: 2, rounding: "half-even" })).to.equal("2.66");
+    });
+
+    it("formats percentages", () => {
+      expect(format(0.125, { style: "percent" })).to.equal("12.5%");
+      expect(format(add(0.1, 0.2), { style: "percent" })).to.equal("30%");
+      expect(format(0.12345, { style: "percent", places: 1 })).to.equal("12.3%");
+    });
+
+    it("formats currencies, rounded to their minor units by default", () => {
+      expect(format(-1234.5, { style: "currency", currency: "USD" })).to.equal("-$1,234.50");
+      expect(format(1234.5, { style: "currency", currency: "JPY" })).to.equal("¥1,235");
+      expect(format(1.005, { style: "currency", currency: "USD" })).to.equal("$1.01");
+    });
+
+    it("formats for a locale", () => {
+      expect(format(1234.5, { locale: "de-DE", places: 2 })).to.equal("1.234,50");
+      expect(format(-1234.5, { locale: "de-DE", style: "currency", currency: "EUR" })).to.equal("-1.234,50\u00a0€");
+      expect(format(1234.5, { locale: "fr-FR", places: 2 })).to.equal("1\u202f234,50");
+    });
+
+    it("uses the locale set by setLocale", () => {
+      setLocale("de-DE");
+
+      expect(format("1.234,5")).to.equal("1.234,5");
+    });
+
+    it("uses separators set by setLocale", () => {
+      setLocale({ group: "'", decimal: "," });
+
+      expect(format(1234.5)).to.equal("1'234,5");
+    });
+
+    it("applies signDisplay", () => {
+      expect(format(5, { signDisplay: "always" })).to.equal("+5");
+      expect(format(0, { signDisplay: "exceptZero" })).to.equal("0");
+      expect(format(-5, { signDisplay: "never" })).to.equal("5");
+    });
+
+    it("formats non-finite values with Intl.NumberFormat", () => {
+      expect(format(NaN)).to.equal("NaN");
+      expect(format(null)).to.equal("NaN");
+      expect(format(-Infinity)).to.equal("-∞");
+    });
+  });
+});
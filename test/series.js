@@ -1,4 +1,12 @@
-import { mean, median, mode, range } from "../safe-math.js";
+import {
+  add,
+  mean, weightedMean, geometricMean, harmonicMean, trimmedMean, winsorizedMean,
+  median, medianLow, medianHigh, mode, frequency, range,
+  variance, stdev, pvariance, pstdev, quantile, quartiles, iqr,
+  rank, percentileRank, covariance, correlation, linearRegression,
+  // Renamed so as not to shadow mocha's describe.
+  describe as describeValues
+} from "../safe-math.js";
 
 describe("Series", function () {
 
@@ -57,8 +65,143 @@ describe("Series", function () {
 
       expect(actual).to.equal(0.25)
     });
+
+    it("handles decimal division", () => {
+      // 0.6 / 3 returns 0.19999999999999998
+      var actual = mean([0.1, 0.2, 0.3]);
+
+      expect(actual).to.equal(0.2)
+    });
   });
 
+  describe("weightedMean", () => {
+    it("returns 0 if no values in series", () => {
+      expect(weightedMean([], [])).to.equal(0);
+    });
+
+    it("returns the mean of values multiplied by their weights", () => {
+      // (10 * 1 + 20 * 3) / 4
+      var actual = weightedMean([10, 20], [1, 3]);
+
+      expect(actual).to.equal(17.5);
+    });
+
+    it("ignores pairs with functionally non-numeric values or weights", () => {
+      var actual = weightedMean([10, 20, "abc", 5], [1, 3, 2, null]);
+
+      expect(actual).to.equal(17.5);
+    });
+
+    it("handles decimal values and weights", () => {
+      // (1.1 * 0.1 + 2.2 * 0.2) / 0.3
+      var actual = weightedMean([1.1, 2.2], [0.1, 0.2]);
+
+      expect(actual).to.equal(1.8333333333333333);
+    });
+
+    it("returns NaN if weights sum to 0", () => {
+      expect(weightedMean([1, 2], [1, -1])).to.be.NaN;
+    });
+  })
+
+  describe("geometricMean", () => {
+    it("returns 0 if no values in series", () => {
+      expect(geometricMean()).to.equal(0);
+    });
+
+    it("returns the nth root of the product of n values", () => {
+      expect(geometricMean(2, 8)).to.equal(4);
+      expect(geometricMean([4, 1, 1 / 32])).to.equal(0.5);
+    });
+
+    it("handles products that overflow", () => {
+      expect(geometricMean(1e200, 1e200)).to.equal(1e200);
+    });
+
+    it("returns 0 if any value is 0, or NaN if any value is negative", () => {
+      expect(geometricMean(0, 3)).to.equal(0);
+      expect(geometricMean(-1, 2)).to.be.NaN;
+    });
+  })
+
+  describe("harmonicMean", () => {
+    it("returns 0 if no values in series", () => {
+      expect(harmonicMean()).to.equal(0);
+    });
+
+    it("returns the reciprocal of the mean of the reciprocals", () => {
+      // 2 / (1/40 + 1/60) returns 47.99999999999999
+      expect(harmonicMean(40, 60)).to.equal(48);
+      expect(harmonicMean([0.1, 0.2])).to.equal(0.13333333333333333);
+    });
+
+    it("sums the reciprocals of many values", () => {
+      var values = Array.from({ length: 1000 }, (_, index) => index + 1);
+
+      // 1000 / (1/1 + 1/2 + ... + 1/1000)
+      expect(harmonicMean(values)).to.equal(133.59213049244016);
+      expect(harmonicMean(1e30, 3e30)).to.equal(1.5e30);
+    });
+
+    it("ignores functionally non-numeric values", () => {
+      var actual = harmonicMean(NaN, 40, null, "abc", '60');
+
+      expect(actual).to.equal(48);
+    });
+
+    it("returns 0 if any value is 0, or NaN if any value is negative", () => {
+      expect(harmonicMean(0, 3)).to.equal(0);
+      expect(harmonicMean(-1, 2)).to.be.NaN;
+    });
+  })
+
+  describe("trimmedMean", () => {
+    var values = [100, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+    it("returns 0 if no values in series", () => {
+      expect(trimmedMean([])).to.equal(0);
+    });
+
+    it("removes a proportion of the lowest and highest values", () => {
+      expect(trimmedMean(values)).to.equal(5.5);
+      expect(trimmedMean(values, 0.2)).to.equal(5.5);
+      expect(trimmedMean([1, 2, 3, 4, 100], 0.2)).to.equal(3);
+    });
+
+    it("returns the mean if proportion is 0", () => {
+      expect(trimmedMean(values, 0)).to.equal(14.5);
+    });
+
+    it("throws a RangeError if proportion is not at least 0 and less than 0.5", () => {
+      expect(() => trimmedMean(values, 0.5)).to.throw(RangeError);
+      expect(() => trimmedMean(values, -0.1)).to.throw(RangeError);
+    });
+  })
+
+  describe("winsorizedMean", () => {
+    it("returns 0 if no values in series", () => {
+      expect(winsorizedMean([])).to.equal(0);
+    });
+
+    it("replaces a proportion of the lowest and highest values", () => {
+      // [2, 2, 3, 4, 5, 6, 7, 8, 9, 9]
+      var actual = winsorizedMean([100, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+      expect(actual).to.equal(5.5);
+    });
+
+    it("handles decimal values", () => {
+      // [0.2, 0.2, 0.3, 0.4, 0.4]
+      var actual = winsorizedMean([0.1, 0.2, 0.3, 0.4, 9], 0.2);
+
+      expect(actual).to.equal(0.3);
+    });
+
+    it("throws a RangeError if proportion is not at least 0 and less than 0.5", () => {
+      expect(() => winsorizedMean([1, 2], 0.5)).to.throw(RangeError);
+    });
+  })
+
   describe("median", () => {
     it("returns 0 if no values in series", () => {
       var actual = median();
@@ -78,16 +221,31 @@ describe("Series", function () {
       expect(actual).to.equal(4);
     })
 
-    it("returns median value of an even number in a series", () => {
+    it("returns mean of the middle values of an even number in a series", () => {
+      // 19 October 2026: median previously returned the higher middle value.
       var actual = median([9, 1, 6, 3, 7, 4]);
 
-      expect(actual).to.equal(6);
+      expect(actual).to.equal(5);
     })
 
     it("ignores functionally non-numeric values", () => {
       var actual = median(NaN, 1, null, 2, undefined, 3, '', 4);
 
-      expect(actual).to.equal(3);
+      expect(actual).to.equal(2.5);
+    });
+
+    it("sorts numeric strings by numeric value", () => {
+      // 19 October 2026: "10" previously sorted before "9".
+      expect(median("10", "9", "100")).to.equal(10);
+      expect(median(["10", "9"])).to.equal(9.5);
+    });
+
+    it("does not modify the given series", () => {
+      var values = [3, 1, 2];
+
+      median(values);
+
+      expect(values).to.deep.equal([3, 1, 2]);
     });
 
     it("returns number where median value is a String object", () => {
@@ -123,7 +281,35 @@ describe("Series", function () {
     it("handles decimal comparisons", () => {
       var actual = median([0.1, 0.2, 0.25, 0.4]);
 
-      expect(actual).to.equal(0.25)
+      expect(actual).to.equal(0.225)
+    });
+  })
+
+  describe("medianLow", () => {
+    it("returns 0 if no values in series", () => {
+      expect(medianLow()).to.equal(0);
+    });
+
+    it("returns median value of an odd number in a series", () => {
+      expect(medianLow([9, 7, 1, 3, 4])).to.equal(4);
+    });
+
+    it("returns lower middle value of an even number in a series", () => {
+      expect(medianLow([9, 1, 6, 3, 7, 4])).to.equal(4);
+    });
+  })
+
+  describe("medianHigh", () => {
+    it("returns 0 if no values in series", () => {
+      expect(medianHigh()).to.equal(0);
+    });
+
+    it("returns median value of an odd number in a series", () => {
+      expect(medianHigh([9, 7, 1, 3, 4])).to.equal(4);
+    });
+
+    it("returns higher middle value of an even number in a series", () => {
+      expect(medianHigh([9, 1, 6, 3, 7, 4])).to.equal(6);
     });
   })
 
@@ -184,6 +370,12 @@ describe("Series", function () {
       expect(actual).to.deep.equal(expected);
     });
 
+    it("returns modes in ascending order", () => {
+      var actual = mode(4, 4, 1, 1, "10", "10", 9, 9);
+
+      expect(actual).to.deep.equal([1, 4, 9, 10]);
+    });
+
     it("handles decimal comparisons", () => {
       var actual = mode([0.1, 0.2, 0.25, 0.4]);
 
@@ -191,6 +383,106 @@ describe("Series", function () {
     });
   })
 
+  describe("frequency", () => {
+    var values = [0.1, 0.2, 0.3, 0.35, 0.4];
+
+    it("returns empty array if no values in series", () => {
+      expect(frequency([])).to.deep.equal([]);
+      expect(frequency([], { binWidth: 1 })).to.deep.equal([]);
+    });
+
+    it("returns count of each distinct value, sorted by value", () => {
+      var actual = frequency([3, 1, "2", 2, 3, 3]);
+
+      expect(actual).to.deep.equal([
+        { value: 1, count: 1 },
+        { value: 2, count: 2 },
+        { value: 3, count: 3 }
+      ]);
+    });
+
+    it("ignores functionally non-numeric values", () => {
+      var actual = frequency([NaN, 1, null, undefined, '', "abc", 1]);
+
+      expect(actual).to.deep.equal([{ value: 1, count: 2 }]);
+    });
+
+    it("counts values in bins of a width, using decimal-safe bin edges", () => {
+      // 0.3 / 0.1 returns 2.9999999999999996
+      var actual = frequency(values, { binWidth: 0.1 });
+
+      expect(actual).to.deep.equal([
+        { from: 0.1, to: 0.2, count: 1 },
+        { from: 0.2, to: 0.3, count: 1 },
+        { from: 0.3, to: 0.4, count: 2 },
+        { from: 0.4, to: 0.5, count: 1 }
+      ]);
+    });
+
+    it("aligns bins of a width to multiples of the width", () => {
+      var actual = frequency([-0.25, 0.05], { binWidth: 0.1 });
+
+      expect(actual.map(({ from }) => from)).to.deep.equal([-0.3, -0.2, -0.1, 0]);
+      expect(actual.map(({ count }) => count)).to.deep.equal([1, 0, 0, 1]);
+    });
+
+    it("counts values in a number of equal-width bins", () => {
+      var actual = frequency(values, { bins: 3 });
+
+      expect(actual).to.deep.equal([
+        { from: 0.1, to: 0.2, count: 1 },
+        { from: 0.2, to: 0.3, count: 1 },
+        { from: 0.3, to: 0.4, count: 3 }
+      ]);
+    });
+
+    it("counts values between edges, ignoring values outside them", () => {
+      var actual = frequency([-1, 0, 4.9, 5, 10, 11], { edges: [0, 5, 10] });
+
+      expect(actual).to.deep.equal([
+        { from: 0, to: 5, count: 2 },
+        { from: 5, to: 10, count: 2 }
+      ]);
+    });
+
+    it("returns relative frequencies that add up to exactly 1", () => {
+      var actual = frequency([1, 2, 3], { edges: [0, 1, 2, 3, 4], relative: true });
+
+      var relatives = actual.map(({ relative }) => relative);
+
+      expect(relatives).to.deep.equal([
+        0, 0.3333333333333333, 0.3333333333333333, 0.33333333333333337
+      ]);
+
+      // 0.3333333333333333 * 3 returns 0.9999999999999999
+      expect(add(relatives)).to.equal(1);
+
+      // 2/7 + 1/7 + 3/7 + 1/7
+      var sevenths = frequency([1, 1, 2, 3, 3, 3, 4], { relative: true })
+        .map(({ relative }) => relative);
+
+      expect(sevenths).to.deep.equal([
+        0.2857142857142857, 0.14285714285714285, 0.42857142857142855, 0.1428571428571429
+      ]);
+      expect(add(sevenths)).to.equal(1);
+    });
+
+    it("gives any rounding difference to the last row with a count", () => {
+      var actual = frequency([1, 2, 3], { edges: [1, 2, 3, 4, 5], relative: true });
+
+      expect(actual.map(({ relative }) => relative)).to.deep.equal([
+        0.3333333333333333, 0.3333333333333333, 0.33333333333333337, 0
+      ]);
+    });
+
+    it("throws a RangeError for invalid bin options", () => {
+      expect(() => frequency(values, { binWidth: 0 })).to.throw(RangeError);
+      expect(() => frequency(values, { bins: 1.5 })).to.throw(RangeError);
+      expect(() => frequency(values, { edges: [1] })).to.throw(RangeError);
+      expect(() => frequency(values, { edges: [2, 1] })).to.throw(RangeError);
+    });
+  })
+
   describe("range", () => {
     it("returns 0 if no values in series", () => {
       var actual = range();
@@ -226,4 +518,432 @@ describe("Series", function () {
       expect(actual).to.equal(0.1)
     });
   })
-})
\ No newline at end of file
+
+  describe("variance", () => {
+    it("returns 0 if less than two values in series", () => {
+      expect(variance()).to.equal(0);
+      expect(variance(13)).to.equal(0);
+    })
+
+    it("returns sample variance of a series", () => {
+      var actual = variance([2, 4, 4, 4, 5, 5, 7, 9]);
+
+      expect(actual).to.equal(4.571428571428571);
+    })
+
+    it("ignores functionally non-numeric values", () => {
+      var actual = variance(NaN, 1, null, 2, undefined, 3, '', "abc");
+
+      expect(actual).to.equal(1);
+    });
+
+    it("handles functionally numeric values", () => {
+      var actual = variance([
+        {
+          valueOf() { return 3 }
+        },
+        new String('1,001'),
+        true // 1
+      ]);
+
+      expect(actual).to.equal(332668);
+    });
+
+    it("handles decimal comparisons", () => {
+      var actual = variance([0.1, 0.2, 0.3]);
+
+      expect(actual).to.equal(0.01)
+    });
+  })
+
+  describe("stdev", () => {
+    it("returns 0 if less than two values in series", () => {
+      expect(stdev()).to.equal(0);
+      expect(stdev(13)).to.equal(0);
+    })
+
+    it("returns sample standard deviation of a series", () => {
+      var actual = stdev([1, 2, 3, 4, 5]);
+
+      expect(actual).to.equal(1.5811388300841898);
+    })
+
+    it("ignores functionally non-numeric values", () => {
+      var actual = stdev(NaN, 1, null, 2, undefined, 3, '', "abc");
+
+      expect(actual).to.equal(1);
+    });
+
+    it("handles decimal comparisons", () => {
+      var actual = stdev([0.1, 0.2, 0.3]);
+
+      expect(actual).to.equal(0.1)
+    });
+  })
+
+  describe("pvariance", () => {
+    it("returns 0 if no values in series", () => {
+      expect(pvariance()).to.equal(0);
+    })
+
+    it("returns 0 if only one value in series", () => {
+      expect(pvariance(13)).to.equal(0);
+    })
+
+    it("returns population variance of a series", () => {
+      var actual = pvariance([2, 4, 4, 4, 5, 5, 7, 9]);
+
+      expect(actual).to.equal(4);
+    })
+
+    it("ignores functionally non-numeric values", () => {
+      var actual = pvariance(NaN, 1, null, 2, undefined, 3, '', 4);
+
+      expect(actual).to.equal(1.25);
+    });
+
+    it("handles decimal comparisons", () => {
+      var actual = pvariance([0.1, 0.2, 0.3, 0.4]);
+
+      expect(actual).to.equal(0.0125)
+    });
+  })
+
+  describe("pstdev", () => {
+    it("returns 0 if no values in series", () => {
+      expect(pstdev()).to.equal(0);
+    })
+
+    it("returns population standard deviation of a series", () => {
+      var actual = pstdev([2, 4, 4, 4, 5, 5, 7, 9]);
+
+      expect(actual).to.equal(2);
+    })
+
+    it("handles POSITIVE_INFINITY as a value (returns NaN)", () => {
+      expect(pstdev(Infinity, 1)).to.be.NaN;
+    });
+
+    it("handles decimal comparisons", () => {
+      var actual = pstdev([0.1, 0.2, 0.3, 0.4, 0.5]);
+
+      expect(actual).to.equal(0.1414213562373095)
+    });
+  })
+  describe("quantile", () => {
+    var values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+    it("returns 0 if no values in series", () => {
+      expect(quantile([], 0.5)).to.equal(0);
+    });
+
+    it("uses method 7 by default", () => {
+      expect(quantile(values, 0.1)).to.equal(1.9);
+      expect(quantile(values, 0.5)).to.equal(5.5);
+    });
+
+    it("supports Hyndman and Fan methods 1 to 9", () => {
+      var actual = [1, 2, 3, 4, 5, 6, 7, 8, 9].map(method => {
+        return quantile(values, 0.1, { method });
+      });
+
+      expect(actual).to.deep.equal([
+        1, 1.5, 1, 1, 1.5, 1.1, 1.9, 1.3666666666666667, 1.4
+      ]);
+    });
+
+    it("returns lowest and highest values for p of 0 and 1", () => {
+      expect(quantile(values, 0)).to.equal(1);
+      expect(quantile(values, 1)).to.equal(10);
+      expect(quantile(values, 0, { method: 6 })).to.equal(1);
+      expect(quantile(values, 1, { method: 6 })).to.equal(10);
+    });
+
+    it("sorts and ignores functionally non-numeric values", () => {
+      var actual = quantile(["10", NaN, 1, null, "9", ''], 0.5);
+
+      expect(actual).to.equal(9);
+    });
+
+    it("handles decimal interpolation", () => {
+      // 0.1 + 0.6 * (0.2 - 0.1) returns 0.16000000000000003
+      expect(quantile([0.1, 0.2, 0.3], 0.3)).to.equal(0.16);
+    });
+
+    it("throws a RangeError if p is not between 0 and 1", () => {
+      expect(() => quantile(values, 1.5)).to.throw(RangeError);
+      expect(() => quantile(values, -0.1)).to.throw(RangeError);
+      expect(() => quantile(values, "abc")).to.throw(RangeError);
+    });
+
+    it("throws a RangeError for an unknown method", () => {
+      expect(() => quantile(values, 0.5, { method: 0 })).to.throw(RangeError);
+      expect(() => quantile(values, 0.5, { method: 10 })).to.throw(RangeError);
+      expect(() => quantile(values, 0.5, { method: "toString" })).to.throw(RangeError);
+    });
+  })
+
+  describe("quartiles", () => {
+    it("returns first, second and third quartiles", () => {
+      var actual = quartiles([1, 2, 3, 4, 5, 6, 7, 8]);
+
+      expect(actual).to.deep.equal([2.75, 4.5, 6.25]);
+    });
+
+    it("accepts a quantile method", () => {
+      var actual = quartiles([1, 2, 3, 4, 5, 6, 7, 8], { method: 6 });
+
+      expect(actual).to.deep.equal([2.25, 4.5, 6.75]);
+    });
+  })
+
+  describe("iqr", () => {
+    it("returns the difference between the third and first quartiles", () => {
+      expect(iqr([1, 2, 3, 4, 5, 6, 7, 8])).to.equal(3.5);
+    });
+
+    it("returns 0 if no values in series", () => {
+      expect(iqr([])).to.equal(0);
+    });
+  })
+  describe("rank", () => {
+    var values = [10, 30, 20, 20, 9];
+
+    it("returns empty array if no values in series", () => {
+      expect(rank([])).to.deep.equal([]);
+    });
+
+    it("returns ranks in original order, averaging ties by default", () => {
+      expect(rank(values)).to.deep.equal([2, 5, 3.5, 3.5, 1]);
+      expect(rank(values, { ties: "average" })).to.deep.equal([2, 5, 3.5, 3.5, 1]);
+    });
+
+    it("supports min, max, dense and ordinal ties", () => {
+      expect(rank(values, { ties: "min" })).to.deep.equal([2, 5, 3, 3, 1]);
+      expect(rank(values, { ties: "max" })).to.deep.equal([2, 5, 4, 4, 1]);
+      expect(rank(values, { ties: "dense" })).to.deep.equal([2, 4, 3, 3, 1]);
+      expect(rank(values, { ties: "ordinal" })).to.deep.equal([2, 5, 3, 4, 1]);
+    });
+
+    it("compares strings and functionally numeric values as numbers", () => {
+      var actual = rank(["10", "9", { valueOf() { return 100 } }, true]);
+
+      expect(actual).to.deep.equal([3, 2, 4, 1]);
+    });
+
+    it("ranks functionally non-numeric values as NaN", () => {
+      var actual = rank([3, "abc", 1, null]);
+
+      expect(actual).to.deep.equal([2, NaN, 1, NaN]);
+    });
+
+    it("throws a RangeError for an unknown tie strategy", () => {
+      expect(() => rank(values, { ties: "first" })).to.throw(RangeError);
+    });
+  })
+
+  describe("percentileRank", () => {
+    it("returns 0 if no values in series", () => {
+      expect(percentileRank([], 3)).to.equal(0);
+    });
+
+    it("returns percentage of values lower, counting equal values as half", () => {
+      var values = [50, 60, 70, 80, 90];
+
+      expect(percentileRank(values, 70)).to.equal(50);
+      expect(percentileRank(values, 75)).to.equal(60);
+      expect(percentileRank(values, 10)).to.equal(0);
+      expect(percentileRank(values, 100)).to.equal(100);
+    });
+
+    it("compares numeric strings by numeric value", () => {
+      expect(percentileRank(["10", "9", "100"], "10")).to.equal(50);
+    });
+
+    it("handles decimal percentages", () => {
+      // 1 / 3 * 100 returns 33.33333333333333
+      expect(percentileRank([0.1, 0.2, 0.3], 0.15)).to.equal(33.333333333333336);
+    });
+
+    it("returns NaN if x is not functionally numeric", () => {
+      expect(percentileRank([1, 2], "abc")).to.be.NaN;
+    });
+  })
+
+  describe("describe", () => {
+    it("returns 0 for every statistic if no values in series", () => {
+      var actual = describeValues([]);
+
+      expect(actual).to.deep.equal({
+        count: 0, ignored: 0, sum: 0, min: 0, max: 0, range: 0,
+        mean: 0, median: 0, mode: [], variance: 0, stdev: 0,
+        quartiles: [0, 0, 0], skewness: 0, kurtosis: 0
+      });
+    });
+
+    it("returns summary statistics of a series", () => {
+      var actual = describeValues([9, 2, 4, 4, 4, 5, 5, 7]);
+
+      expect(actual).to.deep.equal({
+        count: 8,
+        ignored: 0,
+        sum: 40,
+        min: 2,
+        max: 9,
+        range: 7,
+        mean: 5,
+        median: 4.5,
+        mode: [4],
+        variance: 4.571428571428571,
+        stdev: 2.138089935299395,
+        quartiles: [4, 4.5, 5.5],
+        skewness: 0.8184875533567996,
+        kurtosis: 0.940625
+      });
+    });
+
+    it("matches the separate series functions", () => {
+      var values = [0.1, 0.2, 0.25, 0.4, "0.25"];
+      var actual = describeValues(values);
+
+      expect(actual.mean).to.equal(mean(values));
+      expect(actual.median).to.equal(median(values));
+      expect(actual.mode).to.deep.equal(mode(values));
+      expect(actual.range).to.equal(range(values));
+      expect(actual.variance).to.equal(variance(values));
+      expect(actual.stdev).to.equal(stdev(values));
+      expect(actual.quartiles).to.deep.equal(quartiles(values));
+    });
+
+    it("reports the number of ignored values", () => {
+      var actual = describeValues([NaN, 1, null, 2, undefined, 3, '', "abc"]);
+
+      expect(actual.count).to.equal(3);
+      expect(actual.ignored).to.equal(5);
+      expect(actual.sum).to.equal(6);
+    });
+
+    it("returns 0 for skewness and kurtosis if there is no variation", () => {
+      var actual = describeValues([5, 5, 5, 5]);
+
+      expect(actual.skewness).to.equal(0);
+      expect(actual.kurtosis).to.equal(0);
+    });
+
+    it("handles decimal statistics", () => {
+      var actual = describeValues([0.1, 0.2, 0.25, 0.4]);
+
+      expect(actual.sum).to.equal(0.95);
+      expect(actual.mean).to.equal(0.2375);
+      expect(actual.variance).to.equal(0.015625);
+      expect(actual.stdev).to.equal(0.125);
+      expect(actual.skewness).to.equal(0.56);
+      expect(actual.kurtosis).to.equal(0.928);
+    });
+
+    it("accepts a quantile method", () => {
+      var actual = describeValues([1, 2, 3, 4, 5, 6, 7, 8], { method: 6 });
+
+      expect(actual.quartiles).to.deep.equal([2.25, 4.5, 6.75]);
+    });
+
+    it("throws a RangeError for an invalid quantile method", () => {
+      expect(() => describeValues([1, 2, 3], { method: 10 })).to.throw(RangeError);
+      expect(() => describeValues([1, 2, 3], { method: "toString" })).to.throw(RangeError);
+    });
+
+    it("returns NaN for variation of infinite values", () => {
+      var actual = describeValues([1, Infinity, 3]);
+
+      expect(actual.mean).to.equal(Infinity);
+      expect(actual.variance).to.be.NaN;
+      expect(actual.skewness).to.be.NaN;
+    });
+  })
+  describe("covariance", () => {
+    it("returns 0 if less than two pairs in series", () => {
+      expect(covariance([], [])).to.equal(0);
+      expect(covariance([1], [2])).to.equal(0);
+    });
+
+    it("returns sample covariance of paired series", () => {
+      var actual = covariance([1, 2, 3, 4, 5], [2, 4, 5, 4, 5]);
+
+      expect(actual).to.equal(1.5);
+    });
+
+    it("ignores pairs with functionally non-numeric values", () => {
+      var actual = covariance([1, "abc", 2, 3, 4, 5, 9], [2, 3, 4, 5, 4, 5, null]);
+
+      expect(actual).to.equal(1.5);
+    });
+
+    it("handles decimal values", () => {
+      var actual = covariance([0.1, 0.2, 0.3], [0.3, 0.5, 0.7]);
+
+      expect(actual).to.equal(0.02);
+    });
+  })
+
+  describe("correlation", () => {
+    var xs = [1, 2, 3, 4, 5];
+    var ys = [2, 4, 5, 4, 5];
+
+    it("returns Pearson correlation coefficient by default", () => {
+      expect(correlation(xs, ys)).to.equal(0.7745966692414834);
+      expect(correlation(xs, ys, { method: "pearson" })).to.equal(0.7745966692414834);
+    });
+
+    it("returns 1 or -1 for perfectly correlated series", () => {
+      expect(correlation([0.1, 0.2, 0.3], [0.3, 0.5, 0.7])).to.equal(1);
+      expect(correlation([1, 2, 3], [3, 2, 1])).to.equal(-1);
+    });
+
+    it("returns Spearman correlation coefficient, averaging tied ranks", () => {
+      expect(correlation(xs, ys, { method: "spearman" })).to.equal(0.7378647873726218);
+      expect(correlation([1, 2, 3], [1, 10, 1000], { method: "spearman" })).to.equal(1);
+    });
+
+    it("returns NaN if less than two pairs or no variation", () => {
+      expect(correlation([1], [1])).to.be.NaN;
+      expect(correlation([1, 2], [3, 3])).to.be.NaN;
+    });
+
+    it("throws a RangeError for an unknown method", () => {
+      expect(() => correlation(xs, ys, { method: "kendall" })).to.throw(RangeError);
+    });
+  })
+
+  describe("linearRegression", () => {
+    it("returns slope, intercept and r2 of the least squares line", () => {
+      var actual = linearRegression([1, 2, 3, 4, 5], [2, 4, 5, 4, 5]);
+
+      expect(actual).to.deep.equal({ slope: 0.6, intercept: 2.2, r2: 0.6 });
+    });
+
+    it("handles decimal values", () => {
+      var actual = linearRegression([0.1, 0.2, 0.3], [0.3, 0.5, 0.7]);
+
+      expect(actual).to.deep.equal({ slope: 2, intercept: 0.1, r2: 1 });
+    });
+
+    it("ignores pairs with functionally non-numeric values", () => {
+      var actual = linearRegression([1, 2, "abc", 3], [3, 5, 100, 7]);
+
+      expect(actual).to.deep.equal({ slope: 2, intercept: 1, r2: 1 });
+    });
+
+    it("returns r2 of 1 for a horizontal line", () => {
+      var actual = linearRegression([1, 2, 3], [4, 4, 4]);
+
+      expect(actual).to.deep.equal({ slope: 0, intercept: 4, r2: 1 });
+    });
+
+    it("returns NaN statistics if less than two pairs or xs has no variation", () => {
+      var nan = { slope: NaN, intercept: NaN, r2: NaN };
+
+      expect(linearRegression([1], [1])).to.deep.equal(nan);
+      expect(linearRegression([2, 2], [1, 3])).to.deep.equal(nan);
+    });
+  })
+})
@@ -0,0 +1,146 @@
+import { convert, registerUnit } from "../units.js";
+
+describe("Units", function () {
+
+  var { expect } = chai;
+
+  describe("convert", function () {
+    it("converts length", () => {
+      expect(convert(3, "in", "cm")).to.equal(7.62);
+      expect(convert(7.62, "cm", "in")).to.equal(3);
+      expect(convert(25.4, "mm", "in")).to.equal(1);
+      expect(convert(1, "mi", "km")).to.equal(1.609344);
+      expect(convert(1, "mi", "ft")).to.equal(5280);
+      expect(convert(1, "nmi", "m")).to.equal(1852);
+    });
+
+    it("converts mass", () => {
+      expect(convert(1, "lb", "kg")).to.equal(0.45359237);
+      expect(convert(1, "lb", "oz")).to.equal(16);
+      expect(convert(1, "st", "lb")).to.equal(14);
+      expect(convert(2500, "g", "kg")).to.equal(2.5);
+      expect(convert(0.1, "kg", "mg")).to.equal(100000);
+    });
+
+    it("converts volume", () => {
+      expect(convert(1, "gal", "l")).to.equal(3.785411784);
+      expect(convert(1, "gal", "qt")).to.equal(4);
+      expect(convert(1, "cup", "floz")).to.equal(8);
+      expect(convert(1, "tbsp", "tsp")).to.equal(3);
+      expect(convert(0.7, "l", "ml")).to.equal(700);
+      expect(convert(1, "m3", "l")).to.equal(1000);
+    });
+
+    it("converts temperature", () => {
+      expect(convert(100, "C", "F")).to.equal(212);
+      expect(convert(212, "F", "C")).to.equal(100);
+      expect(convert(98.6, "F", "C")).to.equal(37);
+      expect(convert(-40, "C", "F")).to.equal(-40);
+      expect(convert(0, "K", "C")).to.equal(-273.15);
+      expect(convert(0, "C", "K")).to.equal(273.15);
+      expect(convert(491.67, "R", "C")).to.equal(0);
+      expect(convert(0, "F", "R")).to.equal(459.67);
+    });
+
+    it("converts time", () => {
+      expect(convert(90, "min", "h")).to.equal(1.5);
+      expect(convert(1.5, "h", "min")).to.equal(90);
+      expect(convert(1, "wk", "h")).to.equal(168);
+      expect(convert(1, "d", "ms")).to.equal(86400000);
+      expect(convert(0.3, "s", "ms")).to.equal(300);
+    });
+
+    it("converts data size", () => {
+      expect(convert(1, "KiB", "KB")).to.equal(1.024);
+      expect(convert(1, "GiB", "MB")).to.equal(1073.741824);
+      expect(convert(1.5, "MB", "KB")).to.equal(1500);
+      expect(convert(8, "bit", "B")).to.equal(1);
+      expect(convert(1, "TB", "GiB")).to.equal(931.3225746154785);
+    });
+
+    it("returns the value as a number for the same unit", () => {
+      expect(convert("1,000", "m", "m")).to.equal(1000);
+    });
+
+    it("handles strings and functionally numeric objects", () => {
+      expect(convert("1,000", "g", "kg")).to.equal(1);
+      expect(convert(new Number(3), "ft", "in")).to.equal(36);
+      expect(convert({ valueOf() { return "0.5" } }, "h", "min")).to.equal(30);
+    });
+
+    it("returns non-numeric values unchanged", () => {
+      expect(convert("abc", "g", "kg")).to.equal("abc");
+      expect(convert(null, "g", "kg")).to.be.null;
+      expect(convert(undefined, "g", "kg")).to.be.undefined;
+    });
+
+    it("throws a RangeError for unknown units", () => {
+      expect(() => convert(1, "m", "parsec")).to.throw(RangeError, "Unknown unit \"parsec\"");
+      expect(() => convert(1, "M", "m")).to.throw(RangeError, "Unknown unit \"M\"");
+      expect(() => convert(1, "toString", "m")).to.throw(RangeError);
+    });
+
+    it("throws a RangeError for units of different kinds", () => {
+      expect(() => convert(1, "kg", "m")).to.throw(RangeError, "Cannot convert \"kg\" (mass) to \"m\" (length)");
+    });
+  });
+
+  describe("registerUnit", function () {
+    it("adds a unit to a built-in kind", () => {
+      expect(registerUnit("furlong", { kind: "length", factor: 201.168 })).to.equal("furlong");
+      expect(convert(1, "mi", "furlong")).to.equal(8);
+      expect(convert(1, "furlong", "yd")).to.equal(220);
+    });
+
+    it("adds a new kind", () => {
+      registerUnit("rad", { kind: "angle", factor: 1 });
+      registerUnit("deg", { kind: "angle", factor: Math.PI, divisor: 180 });
+      registerUnit("grad", { kind: "angle", factor: Math.PI, divisor: 200 });
+
+      expect(convert(90, "deg", "grad")).to.equal(100);
+      expect(convert(180, "deg", "rad")).to.equal(Math.PI);
+      expect(() => convert(1, "deg", "m")).to.throw(RangeError, "(angle)");
+    });
+
+    it("adds an affine unit", () => {
+      registerUnit("Re", { kind: "temperature", factor: 5, divisor: 4, offset: 218.52 });
+
+      expect(convert(80, "Re", "C")).to.equal(100);
+      expect(convert(37, "C", "Re")).to.equal(29.6);
+    });
+
+    it("accepts string factors", () => {
+      registerUnit("chain", { kind: "length", factor: "20.1168" });
+
+      expect(convert(10, "chain", "furlong")).to.equal(1);
+    });
+
+    it("accepts names of Object.prototype properties", () => {
+      registerUnit("__proto__", { kind: "length", factor: 2 });
+      registerUnit("constructor", { kind: "length", factor: 3 });
+
+      expect(convert(3, "__proto__", "constructor")).to.equal(2);
+      expect(convert(1, "m", "km")).to.equal(0.001);
+      expect(() => convert(1, "toString", "m")).to.throw(RangeError, "Unknown unit \"toString\"");
+    });
+
+    it("throws a RangeError for a registered name", () => {
+      expect(() => registerUnit("m", { kind: "length", factor: 1 })).to.throw(RangeError, "Unit \"m\" is already registered");
+    });
+
+    it("throws a RangeError for an invalid name or kind", () => {
+      expect(() => registerUnit("", { kind: "length", factor: 1 })).to.throw(RangeError, "Invalid unit name");
+      expect(() => registerUnit(1, { kind: "length", factor: 1 })).to.throw(RangeError, "Invalid unit name");
+      expect(() => registerUnit("x")).to.throw(RangeError, "Invalid kind");
+    });
+
+    it("throws a RangeError for an invalid factor, divisor or offset", () => {
+      expect(() => registerUnit("x", { kind: "length" })).to.throw(RangeError, "Invalid factor");
+      expect(() => registerUnit("x", { kind: "length", factor: 0 })).to.throw(RangeError, "Invalid factor");
+      expect(() => registerUnit("x", { kind: "length", factor: -1 })).to.throw(RangeError, "Invalid factor");
+      expect(() => registerUnit("x", { kind: "length", factor: 1, divisor: "abc" })).to.throw(RangeError, "Invalid divisor");
+      expect(() => registerUnit("x", { kind: "length", factor: 1, offset: Infinity })).to.throw(RangeError, "Invalid offset");
+      expect(() => convert(1, "x", "m")).to.throw(RangeError, "Unknown unit \"x\"");
+    });
+  });
+});
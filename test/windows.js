@@ -0,0 +1,169 @@
+import { rolling, ema, cumsum, cumprod, diff, percentChange } from "../safe-math.js";
+
+describe("Windows", function () {
+
+  var { expect } = chai;
+
+  describe("rolling", function () {
+    var values = [0.1, 0.2, 0.1, 0.4, 0.3, 0.7];
+
+    it("returns empty array if fewer values than the window size", () => {
+      expect(rolling([], 2)).to.deep.equal([]);
+      expect(rolling([1, 2], 3)).to.deep.equal([]);
+    });
+
+    it("returns moving mean by default", () => {
+      var actual = rolling([1, 2, 3, 4, 5], 2);
+
+      expect(actual).to.deep.equal([1.5, 2.5, 3.5, 4.5]);
+    });
+
+    it("returns moving sum without drift", () => {
+      /*
+       * A running total of floats drifts, e.g., 0.1 + 0.2 returns
+       * 0.30000000000000004, minus 0.1 returns 0.20000000000000004.
+       */
+
+      var actual = rolling(values, 3, "sum");
+
+      expect(actual).to.deep.equal([0.4, 0.7, 0.8, 1.4]);
+    });
+
+    it("returns moving mean", () => {
+      var actual = rolling(values, 2, "mean");
+
+      expect(actual).to.deep.equal([0.15, 0.15, 0.25, 0.35, 0.5]);
+    });
+
+    it("returns moving min and max", () => {
+      expect(rolling(values, 3, "min")).to.deep.equal([0.1, 0.1, 0.1, 0.3]);
+      expect(rolling(values, 3, "max")).to.deep.equal([0.2, 0.4, 0.4, 0.7]);
+    });
+
+    it("returns moving median", () => {
+      expect(rolling(values, 3, "median")).to.deep.equal([0.1, 0.2, 0.3, 0.4]);
+      expect(rolling([3, 1, 2, 2, 5, 1], 4, "median")).to.deep.equal([2, 2, 2]);
+    });
+
+    it("calls a function with each window", () => {
+      var actual = rolling([1, 2, 3, 4], 2, window => window.join("-"));
+
+      expect(actual).to.deep.equal(["1-2", "2-3", "3-4"]);
+    });
+
+    it("ignores functionally non-numeric values", () => {
+      var actual = rolling([NaN, 1, null, "2", undefined, 3, '', "abc"], 2, "sum");
+
+      expect(actual).to.deep.equal([3, 5]);
+    });
+
+    it("handles POSITIVE_INFINITY and NEGATIVE_INFINITY as values", () => {
+      expect(rolling([1, Infinity, 2, 3], 2, "sum")).to.deep.equal([Infinity, Infinity, 5]);
+      expect(rolling([-Infinity, Infinity, 2], 2, "mean")[0]).to.be.NaN;
+    });
+
+    it("throws a RangeError for an invalid window or function", () => {
+      expect(() => rolling(values, 0)).to.throw(RangeError);
+      expect(() => rolling(values, 1.5)).to.throw(RangeError);
+      expect(() => rolling(values, 2, "mode")).to.throw(RangeError);
+    });
+  });
+
+  describe("ema", function () {
+    it("returns empty array if no values", () => {
+      expect(ema([], 0.5)).to.deep.equal([]);
+    });
+
+    it("returns exponential moving average of values", () => {
+      // 0.3 * 2 + 0.7 * 1 returns 1.2999999999999998
+      var actual = ema([1, 2, 3, 4], 0.3);
+
+      expect(actual).to.deep.equal([1, 1.3, 1.81, 2.467]);
+    });
+
+    it("returns values unchanged with a smoothing factor of 1", () => {
+      expect(ema([0.1, 0.2, 0.3], 1)).to.deep.equal([0.1, 0.2, 0.3]);
+    });
+
+    it("ignores functionally non-numeric values", () => {
+      // 0.5 * 0.2 + 0.5 * 0.1 returns 0.15000000000000002
+      var actual = ema([0.1, "abc", 0.2, null, 0.3], 0.5);
+
+      expect(actual).to.deep.equal([0.1, 0.15, 0.225]);
+    });
+
+    it("throws a RangeError if smoothing factor is not greater than 0 and at most 1", () => {
+      expect(() => ema([1], 0)).to.throw(RangeError);
+      expect(() => ema([1], 1.5)).to.throw(RangeError);
+    });
+  });
+
+  describe("cumsum", function () {
+    it("returns empty array if no values", () => {
+      expect(cumsum([])).to.deep.equal([]);
+    });
+
+    it("returns running totals without intermediate float errors", () => {
+      // 0.1 + 0.2 returns 0.30000000000000004
+      var actual = cumsum([0.1, 0.2, 0.3, 0.001]);
+
+      expect(actual).to.deep.equal([0.1, 0.3, 0.6, 0.601]);
+    });
+
+    it("ignores functionally non-numeric values", () => {
+      var actual = cumsum([NaN, 1, null, "2", undefined, 3, '', "abc"]);
+
+      expect(actual).to.deep.equal([1, 3, 6]);
+    });
+  });
+
+  describe("cumprod", function () {
+    it("returns running products", () => {
+      // 1.1 * 1.1 returns 1.2100000000000002
+      var actual = cumprod([1.1, 1.1, 1.1]);
+
+      expect(actual).to.deep.equal([1.1, 1.21, 1.331]);
+    });
+
+    it("ignores functionally non-numeric values", () => {
+      expect(cumprod([2, "abc", 3, null])).to.deep.equal([2, 6]);
+    });
+  });
+
+  describe("diff", function () {
+    it("returns empty array if less than two values", () => {
+      expect(diff([])).to.deep.equal([]);
+      expect(diff([1])).to.deep.equal([]);
+    });
+
+    it("returns differences between consecutive values", () => {
+      // 0.1 - 0.3 returns -0.19999999999999998
+      var actual = diff([0.3, 0.1, 0.5]);
+
+      expect(actual).to.deep.equal([-0.2, 0.4]);
+    });
+  });
+
+  describe("percentChange", function () {
+    it("returns empty array if less than two values", () => {
+      expect(percentChange([100])).to.deep.equal([]);
+    });
+
+    it("returns changes between consecutive values as percentages", () => {
+      var actual = percentChange([80, 100, 80, 0, 3, 4]);
+
+      expect(actual).to.deep.equal([25, -20, -100, Infinity, 33.333333333333336]);
+    });
+
+    it("handles decimal changes", () => {
+      // (1.1 - 1) / 1 * 100 returns 10.000000000000009
+      var actual = percentChange([1, 1.1, 1.21]);
+
+      expect(actual).to.deep.equal([10, 10]);
+    });
+
+    it("returns NaN for no change from 0", () => {
+      expect(percentChange([0, 0])[0]).to.be.NaN;
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { safe, add, multiply } from "../safe-math.js";
+
+describe("Wrapper", function () {
+
+  var { expect } = chai;
+
+  describe("safe", function () {
+    it("wraps a number", () => {
+      var actual = safe(1.5);
+
+      expect(+actual).to.equal(1.5);
+    });
+
+    it("wraps strings, booleans and functionally numeric values", () => {
+      expect(+safe("1,000")).to.equal(1000);
+      expect(+safe(true)).to.equal(1);
+      expect(+safe({ valueOf() { return 0.1 } })).to.equal(0.1);
+      expect(+safe(safe(0.2))).to.equal(0.2);
+    });
+
+    it("wraps BigInt values", () => {
+      expect(+safe(3n)).to.equal(3);
+      expect(+safe(3n).power(2)).to.equal(9);
+    });
+
+    it("wraps non-numeric values as NaN", () => {
+      expect(+safe()).to.be.NaN;
+      expect(+safe(null)).to.be.NaN;
+      expect(+safe("")).to.be.NaN;
+    });
+
+    it("stays NaN through every method", () => {
+      expect(+safe("abc").add(1)).to.be.NaN;
+      expect(+safe(-1).sqrt().add(1)).to.be.NaN;
+      expect(+safe(0).divide(0).add(5)).to.be.NaN;
+      expect(+safe(NaN).round(2)).to.be.NaN;
+    });
+
+    it("returns NaN for NaN arguments", () => {
+      expect(+safe(1).add(NaN)).to.be.NaN;
+      expect(+safe(1).multiply([2, NaN])).to.be.NaN;
+      expect(+safe(1).minus(safe("x"))).to.be.NaN;
+      expect(+safe(2).power(NaN)).to.be.NaN;
+    });
+
+    it("chains operators", () => {
+      // (0.1 + 0.2) * 3 / 0.9 - 0.1
+      var actual = safe(0.1).add(0.2).multiply(3).divide(0.9).minus(0.1);
+
+      expect(+actual).to.equal(0.9);
+    });
+
+    it("accepts several values or an array per operator", () => {
+      expect(+safe(0.1).add(0.2, 0.3)).to.equal(0.6);
+      expect(+safe(0.1).add([0.2, 0.3])).to.equal(0.6);
+      expect(+safe(1).minus([0.1, 0.2])).to.equal(0.7);
+      expect(+safe(2).divide({ scale: 4 }, 3)).to.equal(0.6667);
+    });
+
+    it("throws a RangeError for the repeating option", () => {
+      expect(() => safe(2).divide({ repeating: true }, 3)).to.throw(RangeError);
+    });
+
+    it("chains conversions", () => {
+      expect(+safe(1.1).power(2)).to.equal(1.21);
+      expect(+safe(9).sqrt()).to.equal(3);
+      expect(+safe(2).sqrt(4)).to.equal(1.4142);
+      expect(+safe(-27).root(3)).to.equal(-3);
+      expect(+safe(2).power(0.5, 2)).to.equal(1.41);
+      expect(+safe(25).percent()).to.equal(0.25);
+      expect(+safe(2.675).round(2)).to.equal(2.68);
+    });
+
+    it("does not modify the original wrapper", () => {
+      var original = safe(0.1);
+
+      original.add(0.2);
+
+      expect(+original).to.equal(0.1);
+    });
+
+    it("converts to string and JSON", () => {
+      var actual = safe(0.1).add(0.2);
+
+      expect(String(actual)).to.equal("0.3");
+      expect(`${actual}`).to.equal("0.3");
+      expect(actual.toString(2)).to.equal((0.3).toString(2));
+      expect(JSON.stringify({ total: actual })).to.equal('{"total":0.3}');
+    });
+
+    it("is functionally numeric", () => {
+      var actual = add(safe(0.1), safe(0.2));
+
+      expect(actual).to.equal(0.3);
+      expect(multiply([safe(0.1), 0.1])).to.equal(0.01);
+      expect(safe(2) > safe(1)).to.equal(true);
+      expect(safe(0.1) + 1).to.equal(1.1);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Unit conversion functions built on the safe-math operators, using tables of
+ * exact decimal factors for length, mass, volume, temperature, time and data
+ * size.
+ * 
+ * Examples:
+ * 1. Converting 3 in to cm returns 7.62, where 3 * 2.54 returns
+ *    7.619999999999999.
+ * 2. Converting 98.6 F to C returns 37, and 1 KiB to KB returns 1.024.
+ * 
+ * Each unit has a factor that converts it to the base unit of its kind, e.g.,
+ * 0.0254 for in, where the base unit of length is m. Temperatures are affine,
+ * with an offset added before the factor is applied, e.g., 273.15 for C, where
+ * the base unit is K. A factor that is not an exact decimal, such as 5/9 for
+ * F, is given as a factor and a divisor.
+ * 
+ *    import { convert, registerUnit } from "@dfkaye/safe-math/units.js";
+ * 
+ * Library contains 1 internal helper function, for looking up a unit.
+ */
+
+import { add, minus, multiply, divide, parse } from "./safe-math.js";
+
+export {
+  convert, registerUnit
+}
+
+/*
+ * Built-in units by kind, where each kind's base unit has a factor of 1.
+ * Volumes in tsp, tbsp, floz, cup, pt, qt and gal are US customary measures.
+ */
+var tables = {
+  length: {
+    mm: 0.001, cm: 0.01, m: 1, km: 1000,
+    in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344, nmi: 1852
+  },
+  mass: {
+    mg: 0.000001, g: 0.001, kg: 1, t: 1000,
+    oz: 0.028349523125, lb: 0.45359237, st: 6.35029318
+  },
+  volume: {
+    ml: 0.001, cl: 0.01, dl: 0.1, l: 1, m3: 1000,
+    tsp: 0.00492892159375, tbsp: 0.01478676478125, floz: 0.0295735295625,
+    cup: 0.2365882365, pt: 0.473176473, qt: 0.946352946, gal: 3.785411784
+  },
+  temperature: {
+    K: 1,
+    C: { factor: 1, offset: 273.15 },
+    F: { factor: 5, divisor: 9, offset: 459.67 },
+    R: { factor: 5, divisor: 9 }
+  },
+  time: {
+    ms: 0.001, s: 1, min: 60, h: 3600, d: 86400, wk: 604800
+  },
+  data: {
+    bit: 0.125, B: 1,
+    KB: 1e3, MB: 1e6, GB: 1e9, TB: 1e12, PB: 1e15,
+    KiB: 1024, MiB: 1048576, GiB: 1073741824, TiB: 1099511627776,
+    PiB: 1125899906842624
+  }
+};
+
+/*
+ * Units by name, as { kind, factor, divisor, offset }, without a prototype, so
+ * that names such as "__proto__" and "constructor" are ordinary keys.
+ */
+var units = Object.create(null);
+
+Object.keys(tables).forEach(kind => {
+  Object.keys(tables[kind]).forEach(name => {
+    var unit = tables[kind][name];
+
+    registerUnit(name, typeof unit == "number"
+      ? { kind, factor: unit }
+      : Object.assign({ kind }, unit)
+    );
+  });
+});
+
+/**
+ * @function convert returns a value converted from one unit to another of the
+ * same kind, e.g., `convert(3, "in", "cm")` returns 7.62, and
+ * `convert(100, "C", "F")` returns 212.
+ * 
+ * The value is multiplied by both factors and divided by both divisors in one
+ * operation, so that a result is rounded only once. Offsets are added before
+ * and subtracted after.
+ * 
+ * Unit names are case-sensitive, so that "B" (byte) and "bit" are distinct.
+ * 
+ * If the value is not functionally numeric, the value is returned.
+ * 
+ * Throws a RangeError if either unit is unknown, or if the units are of
+ * different kinds.
+ * 
+ * @param {*} value
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+function convert(value, from, to) {
+  var source = getUnit(from);
+  var target = getUnit(to);
+
+  if (source.kind !== target.kind) {
+    throw new RangeError(
+      "Cannot convert \"" + from + "\" (" + source.kind + ") to \"" + to
+      + "\" (" + target.kind + ")"
+    );
+  }
+
+  var number = parse(value);
+
+  if (number !== number) {
+    return value
+  }
+
+  if (from === to) {
+    return number
+  }
+
+  var quotient = divide(
+    multiply(add(number, source.offset), source.factor, target.divisor),
+    multiply(source.divisor, target.factor)
+  );
+
+  return minus(quotient, target.offset);
+}
+
+/**
+ * @function registerUnit adds a unit to convert() by name, with a kind and a
+ * factor that converts it to the base unit of that kind, e.g.,
+ * `registerUnit("furlong", { kind: "length", factor: 201.168 })`.
+ * 
+ * A new kind may be added by registering its base unit with a factor of 1.
+ * 
+ * A factor that is not an exact decimal, such as 5/9, may be given with a
+ * divisor, e.g., `{ factor: 5, divisor: 9 }`. Affine units, such as
+ * temperatures, take an offset that is added to a value before the factor is
+ * applied, e.g., `{ kind: "temperature", factor: 1, offset: 273.15 }` for C.
+ * 
+ * Throws a RangeError if the name is not a non-empty string or is already
+ * registered, if the kind is not a non-empty string, if the factor or divisor
+ * is not a positive number, or if the offset is not a number.
+ * 
+ * @param {string} name
+ * @param {{ kind: string, factor: *, divisor: *, offset: * }} options
+ * @returns {string} name
+ */
+function registerUnit(name, { kind, factor, divisor = 1, offset = 0 } = {}) {
+  if (!(typeof name == "string" && name.trim())) {
+    throw new RangeError("Invalid unit name \"" + name + "\"");
+  }
+
+  if (Object.prototype.hasOwnProperty.call(units, name)) {
+    throw new RangeError("Unit \"" + name + "\" is already registered");
+  }
+
+  if (!(typeof kind == "string" && kind.trim())) {
+    throw new RangeError("Invalid kind \"" + kind + "\" for unit \"" + name + "\"");
+  }
+
+  var unit = {
+    kind,
+    factor: parse(factor),
+    divisor: parse(divisor),
+    offset: parse(offset)
+  };
+
+  ["factor", "divisor"].forEach(key => {
+    if (!(unit[key] > 0 && unit[key] < Infinity)) {
+      throw new RangeError("Invalid " + key + " for unit \"" + name + "\"");
+    }
+  });
+
+  if (!Number.isFinite(unit.offset)) {
+    throw new RangeError("Invalid offset for unit \"" + name + "\"");
+  }
+
+  units[name] = unit;
+
+  return name;
+}
+
+
+/* Helper functions */
+
+
+/**
+ * @function getUnit, returns a registered unit by name, as
+ * { kind, factor, divisor, offset }.
+ * 
+ * Throws a RangeError if the unit is unknown.
+ * 
+ * @param {string} name
+ * @returns {{ kind: string, factor: number, divisor: number, offset: number }}
+ */
+function getUnit(name) {
+  if (!Object.prototype.hasOwnProperty.call(units, name)) {
+    throw new RangeError("Unknown unit \"" + name + "\"");
+  }
+
+  return units[name];
+}